@@ -0,0 +1,167 @@
+// achievements.js
+//
+// Achievements earned in finished games and the snake cosmetics they unlock. Nothing here touches
+// the database: server.js stores the unlocked achievement ids on the Player and checks cosmetic
+// choices against them.
+//
+// Every achievement's check() sees one finished game from one player's point of view:
+//   won, draw     - the game result for this player
+//   reason        - how the game ended, as stored on the Match ('wallCollision', 'opponentLeft', ...)
+//   vsAi, aiBot   - whether the opponent was the AI, and which bot played it (see bots.js)
+//   durationTicks - ticks the game lasted
+//   you, opponent - { score, length, longestLength, foodEaten, debuffsSent, debuffsReceived, deathReason }
+//
+// A win by the opponent leaving never counts towards an achievement.
+
+const ACHIEVEMENTS = {
+    firstWin: {
+        name: 'First Bite',
+        description: 'Win a game',
+        check: game => isEarnedWin(game)
+    },
+    cleanWin: {
+        name: 'Untouchable',
+        description: 'Win a game without running into a debuff',
+        check: game => isEarnedWin(game) && game.you.debuffsReceived === 0
+    },
+    longSnake: {
+        name: 'Thirty Segments',
+        description: 'Reach length 30 in a game',
+        check: game => game.you.longestLength >= 30
+    },
+    feast: {
+        name: 'Feast',
+        description: 'Eat 25 food in one game',
+        check: game => game.you.foodEaten >= 25
+    },
+    saboteur: {
+        name: 'Saboteur',
+        description: 'Send 5 debuffs to your opponent in one game',
+        check: game => game.you.debuffsSent >= 5
+    },
+    beatHardAi: {
+        name: 'Machine Breaker',
+        description: 'Beat the hard AI (or a harder one)',
+        check: game => isEarnedWin(game) && (game.aiBot === 'hard' || game.aiBot === 'insane')
+    },
+    beatInsaneAi: {
+        name: 'Against All Odds',
+        description: 'Beat the insane AI',
+        check: game => isEarnedWin(game) && game.aiBot === 'insane'
+    },
+    marathon: {
+        name: 'Marathon',
+        description: 'Play a game that lasts 1000 ticks',
+        check: game => game.durationTicks >= 1000
+    }
+};
+
+// unlockedBy: the achievement that unlocks a cosmetic, or null if everyone has it.
+// 'cyan' is the AI's color and cannot be picked.
+const COSMETICS = {
+    color: {
+        green:  { name: 'Green',  unlockedBy: null },
+        blue:   { name: 'Blue',   unlockedBy: null },
+        orange: { name: 'Orange', unlockedBy: 'firstWin' },
+        gold:   { name: 'Gold',   unlockedBy: 'cleanWin' },
+        red:    { name: 'Red',    unlockedBy: 'saboteur' },
+        purple: { name: 'Purple', unlockedBy: 'beatHardAi' },
+        pink:   { name: 'Pink',   unlockedBy: 'marathon' }
+    },
+    headStyle: {
+        default: { name: 'Classic', unlockedBy: null },
+        round:   { name: 'Round',   unlockedBy: 'feast' },
+        crown:   { name: 'Crown',   unlockedBy: 'longSnake' },
+        horns:   { name: 'Horns',   unlockedBy: 'beatInsaneAi' }
+    }
+};
+const DEFAULT_HEAD_STYLE = 'default';
+
+function isEarnedWin(game) {
+    return game.won && game.reason !== 'opponentLeft';
+}
+
+// Ids of every achievement the game satisfies, whether or not the player already has them.
+function evaluateAchievements(game) {
+    return Object.keys(ACHIEVEMENTS).filter(id => ACHIEVEMENTS[id].check(game));
+}
+
+// Own keys only, so ids like 'constructor' or 'toString' are unknown rather than Object.prototype's members
+function hasCosmetic(type, id) {
+    return typeof id === 'string' && Object.prototype.hasOwnProperty.call(COSMETICS[type], id);
+}
+
+function isCosmeticUnlocked(type, id, achievementIds) {
+    if (!hasCosmetic(type, id)) return false;
+    const cosmetic = COSMETICS[type][id];
+    return cosmetic.unlockedBy === null || achievementIds.includes(cosmetic.unlockedBy);
+}
+
+// { color: [ids], headStyle: [ids] } available to a player holding these achievements
+function getUnlockedCosmetics(achievementIds = []) {
+    const unlocked = {};
+    Object.keys(COSMETICS).forEach(type => {
+        unlocked[type] = Object.keys(COSMETICS[type]).filter(id => isCosmeticUnlocked(type, id, achievementIds));
+    });
+    return unlocked;
+}
+
+function getAchievementUnlocks(achievementId) {
+    const unlocks = [];
+    Object.keys(COSMETICS).forEach(type => {
+        Object.keys(COSMETICS[type]).forEach(id => {
+            if (COSMETICS[type][id].unlockedBy === achievementId) unlocks.push({ type, id, name: COSMETICS[type][id].name });
+        });
+    });
+    return unlocks;
+}
+
+function describeAchievement(id) {
+    const { name, description } = ACHIEVEMENTS[id];
+    return { id, name, description, unlocks: getAchievementUnlocks(id) };
+}
+
+function listAchievements() {
+    return Object.keys(ACHIEVEMENTS).map(describeAchievement);
+}
+
+function listCosmetics() {
+    const catalog = {};
+    Object.keys(COSMETICS).forEach(type => {
+        catalog[type] = Object.keys(COSMETICS[type]).map(id => ({ id, ...COSMETICS[type][id] }));
+    });
+    return catalog;
+}
+
+// choice: optional { color, headStyle } from a join request. Returns { cosmetics } or { error },
+// like engine.resolveRules(). A null color means the seat's default color.
+function resolveCosmetics(choice, achievementIds = []) {
+    if (choice === undefined || choice === null) return { cosmetics: { color: null, headStyle: DEFAULT_HEAD_STYLE } };
+    if (typeof choice !== 'object') return { error: 'Cosmetics must be an object.' };
+    const cosmetics = { color: null, headStyle: DEFAULT_HEAD_STYLE };
+    for (const type of Object.keys(COSMETICS)) {
+        const id = choice[type];
+        if (id === undefined || id === null) continue;
+        if (!hasCosmetic(type, id)) {
+            return { error: `Unknown ${type} "${id}". Choose one of: ${Object.keys(COSMETICS[type]).join(', ')}.` };
+        }
+        if (!isCosmeticUnlocked(type, id, achievementIds)) {
+            const achievement = ACHIEVEMENTS[COSMETICS[type][id].unlockedBy];
+            return { error: `${COSMETICS[type][id].name} is unlocked by the "${achievement.name}" achievement.` };
+        }
+        cosmetics[type] = id;
+    }
+    return { cosmetics };
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    COSMETICS,
+    DEFAULT_HEAD_STYLE,
+    evaluateAchievements,
+    getUnlockedCosmetics,
+    describeAchievement,
+    listAchievements,
+    listCosmetics,
+    resolveCosmetics
+};
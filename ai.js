@@ -0,0 +1,367 @@
+// ai.js
+//
+// The built-in AI snake. The server keeps one "brain" per AI game and asks it for a direction
+// every tick, before engine.step() runs:
+//
+//   const brain = createAiBrain('hard', engine.createSeededRng(seed));
+//   const direction = getNextMove(brain, aiBoard, opponentBoard, rules, arena);
+//
+// Difficulty levels:
+//   easy   - the greedy chaser, but it reacts a tick late and now and then turns the wrong way
+//   normal - the greedy chaser: Manhattan distance to the food with a two-step lookahead
+//   hard   - BFS shortest path to the food, refusing moves whose reachable area (flood fill) is
+//            smaller than the snake
+//   insane - hard, plus it knows when body segments clear out of the way and only eats when it can
+//            still reach its own tail afterwards
+
+const { DIRECTIONS, DEFAULT_RULES, isReverseDirection, hasEffect } = require('./engine');
+
+const DIFFICULTY_LEVELS = {
+    easy:   { planner: 'greedy',  reactionDelayTicks: 1, mistakeChance: 0.08 },
+    normal: { planner: 'greedy',  reactionDelayTicks: 0, mistakeChance: 0 },
+    hard:   { planner: 'pathfind', reactionDelayTicks: 0, mistakeChance: 0, timeAware: false, checkTail: false },
+    insane: { planner: 'pathfind', reactionDelayTicks: 0, mistakeChance: 0, timeAware: true, checkTail: true }
+};
+const DEFAULT_DIFFICULTY = 'normal';
+const DIRECTION_NAMES = Object.keys(DIRECTIONS);
+
+function isValidDifficulty(difficulty) {
+    return typeof difficulty === 'string' && Object.prototype.hasOwnProperty.call(DIFFICULTY_LEVELS, difficulty);
+}
+
+// rng drives the deliberate mistakes; pass a seeded one so an AI game can be reproduced from its seed.
+function createAiBrain(difficulty = DEFAULT_DIFFICULTY, rng = Math.random) {
+    return {
+        difficulty,
+        settings: DIFFICULTY_LEVELS[difficulty],
+        rng,
+        plannedDirection: null,
+        ticksSinceDecision: 0
+    };
+}
+
+function getNextMove(brain, aiBoard, opponentBoard, rules = DEFAULT_RULES, arena = null) {
+    if (!aiBoard || !aiBoard.snake || aiBoard.snake.length === 0) {
+        return (aiBoard && aiBoard.direction) || 'right';
+    }
+    const { settings } = brain;
+
+    // Reaction delay: keep acting on the last decision for a few ticks, unless it leads straight into a crash
+    if (brain.plannedDirection && brain.ticksSinceDecision < settings.reactionDelayTicks &&
+        !isImmediateCrash(aiBoard, opponentBoard, rules, arena, brain.plannedDirection)) {
+        brain.ticksSinceDecision++;
+        return brain.plannedDirection;
+    }
+
+    let direction = settings.planner === 'pathfind'
+        ? getPathfindingMove(settings, aiBoard, opponentBoard, rules, arena)
+        : getGreedyMove(aiBoard, opponentBoard, rules, arena);
+    if (settings.mistakeChance > 0 && brain.rng() < settings.mistakeChance) {
+        // A wrong turn, not a suicide: it stays on the grid but may well walk into a trap
+        const turns = DIRECTION_NAMES.filter(name => !isReverseDirection(aiBoard.direction, name) &&
+            isInBounds(stepFrom(aiBoard.snake[0], name), rules.gridSize));
+        if (turns.length > 0) direction = turns[Math.floor(brain.rng() * turns.length)];
+    }
+    brain.plannedDirection = direction;
+    brain.ticksSinceDecision = 0;
+    return direction;
+}
+
+function stepFrom(cell, direction) {
+    return { x: cell.x + DIRECTIONS[direction].dx, y: cell.y + DIRECTIONS[direction].dy };
+}
+
+function isImmediateCrash(aiBoard, opponentBoard, rules, arena, direction) {
+    const next = stepFrom(aiBoard.snake[0], direction);
+    if (!isInBounds(next, rules.gridSize)) return true;
+    const bodies = arena && opponentBoard ? [aiBoard.snake, opponentBoard.snake] : [aiBoard.snake];
+    return bodies.some(snake => snake.some(segment => segment.x === next.x && segment.y === next.y));
+}
+
+// --- Greedy (easy, normal) ---
+// The original chaser: heads for the food by Manhattan distance, skipping moves that hit a wall or
+// a snake and preferring ones that still leave a second move. arena is null on split boards.
+function getGreedyMove(aiBoard, opponentBoard, rules, arena) {
+    if (!aiBoard || !aiBoard.snake || aiBoard.snake.length === 0) {
+        return aiBoard.direction || 'right';
+    }
+
+    const head = { ...aiBoard.snake[0] };
+    const snake = aiBoard.snake;
+    const food = (arena ? arena.food : aiBoard.food) || head;
+    const currentDirection = aiBoard.direction;
+    const gridSize = rules.gridSize;
+
+    // Shared arena: the opponent's body is as deadly as our own, and the cells its head can reach next
+    // are a head-on risk unless the head-on rule would let us win it.
+    const opponentSnake = (arena && opponentBoard && opponentBoard.snake) ? opponentBoard.snake : [];
+    const isOpponentCell = (cell) => opponentSnake.some(segment => segment.x === cell.x && segment.y === cell.y);
+    const winsHeadOn = rules.headOnRule === 'longerWins' && snake.length > opponentSnake.length;
+    const isHeadOnRisk = (cell) => opponentSnake.length > 0 && !winsHeadOn &&
+        Math.abs(cell.x - opponentSnake[0].x) + Math.abs(cell.y - opponentSnake[0].y) === 1;
+
+    const allDirections = [
+        { name: 'up', dx: 0, dy: -1 },
+        { name: 'down', dx: 0, dy: 1 },
+        { name: 'left', dx: -1, dy: 0 },
+        { name: 'right', dx: 1, dy: 0 }
+    ];
+
+    let level1SafeMoves = [];
+    for (const dir of allDirections) {
+        if ((currentDirection === 'up' && dir.name === 'down') ||
+            (currentDirection === 'down' && dir.name === 'up') ||
+            (currentDirection === 'left' && dir.name === 'right') ||
+            (currentDirection === 'right' && dir.name === 'left')) {
+            continue;
+        }
+        const nextHead = { x: head.x + dir.dx, y: head.y + dir.dy };
+        if (nextHead.x < 0 || nextHead.x >= gridSize || nextHead.y < 0 || nextHead.y >= gridSize) {
+            continue;
+        }
+        let selfCollision = false;
+        for (let i = 0; i < snake.length; i++) {
+            if (nextHead.x === snake[i].x && nextHead.y === snake[i].y) {
+                selfCollision = true;
+                break;
+            }
+        }
+        if (selfCollision || isOpponentCell(nextHead)) {
+            continue;
+        }
+        level1SafeMoves.push(dir);
+    }
+
+    if (level1SafeMoves.length === 0) {
+        return currentDirection || 'right';
+    }
+
+    let level2SafeMoves = [];
+    for (const dir of level1SafeMoves) {
+        const nextHead = { x: head.x + dir.dx, y: head.y + dir.dy };
+        let isWallTrap = false;
+        let isSelfTrap = false;
+
+        // Refined Wall Trap Check: considers if food is the target
+        if (!(nextHead.x === food.x && nextHead.y === food.y)) {
+            const furtherHead = { x: nextHead.x + dir.dx, y: nextHead.y + dir.dy };
+            if (furtherHead.x < 0 || furtherHead.x >= gridSize || furtherHead.y < 0 || furtherHead.y >= gridSize) {
+                 // If the move 'dir' takes snake to 'nextHead', and then applying 'dir' again from 'nextHead' leads to 'furtherHead' being a wall.
+                 isWallTrap = true;
+            }
+        }
+
+        const snakeAfterMove1 = [{...nextHead}, ...snake.slice(0, snake.length -1)];
+        let canMakeSecondMove = false;
+        for (const nextDir of allDirections) {
+            if ((dir.name === 'up' && nextDir.name === 'down') ||
+                (dir.name === 'down' && nextDir.name === 'up') ||
+                (dir.name === 'left' && nextDir.name === 'right') ||
+                (dir.name === 'right' && nextDir.name === 'left')) {
+                continue;
+            }
+            const headAfterMove2 = { x: nextHead.x + nextDir.dx, y: nextHead.y + nextDir.dy };
+            if (headAfterMove2.x < 0 || headAfterMove2.x >= gridSize || headAfterMove2.y < 0 || headAfterMove2.y >= gridSize) {
+                continue;
+            }
+            let selfCollisionMove2 = false;
+            for (let i = 0; i < snakeAfterMove1.length; i++) {
+                if (headAfterMove2.x === snakeAfterMove1[i].x && headAfterMove2.y === snakeAfterMove1[i].y) {
+                    selfCollisionMove2 = true;
+                    break;
+                }
+            }
+            if (!selfCollisionMove2 && !isOpponentCell(headAfterMove2)) {
+                canMakeSecondMove = true;
+                break;
+            }
+        }
+        if (!canMakeSecondMove) {
+            isSelfTrap = true;
+        }
+
+        if (!isWallTrap && !isSelfTrap && !isHeadOnRisk(nextHead)) {
+            level2SafeMoves.push(dir);
+        }
+    }
+
+    let bestMovesToConsider = [];
+    if (level2SafeMoves.length > 0) {
+        bestMovesToConsider = level2SafeMoves;
+    } else if (level1SafeMoves.length > 0) {
+        bestMovesToConsider = level1SafeMoves;
+    } else {
+        return currentDirection || 'right';
+    }
+
+    let finalChoice = null;
+    let minDistanceToFood = Infinity;
+
+    for (const dir of bestMovesToConsider) {
+        const pHead = { x: head.x + dir.dx, y: head.y + dir.dy };
+        const distance = Math.abs(pHead.x - food.x) + Math.abs(pHead.y - food.y);
+        if (distance < minDistanceToFood) {
+            minDistanceToFood = distance;
+            finalChoice = dir.name;
+        } else if (distance === minDistanceToFood) {
+            if (dir.name === currentDirection) {
+                finalChoice = dir.name;
+            }
+        }
+    }
+
+    if (!finalChoice) {
+        if (bestMovesToConsider.some(d => d.name === currentDirection)) {
+            finalChoice = currentDirection;
+        } else {
+            finalChoice = bestMovesToConsider[0].name;
+        }
+    }
+    return finalChoice;
+}
+
+// --- Pathfinding (hard, insane) ---
+// Obstacles are a flat array indexed by y * gridSize + x holding the last move number on which the
+// cell is still occupied (0 = free, Infinity = for good). The engine checks a move against the whole
+// body before the tail moves, so segment i (0 = head) of a snake of length n is in the way for n - i moves.
+function addSnakeObstacles(blockedUntil, snake, gridSize, timeAware) {
+    snake.forEach((segment, i) => {
+        if (!isInBounds(segment, gridSize)) return;
+        const index = segment.y * gridSize + segment.x;
+        blockedUntil[index] = Math.max(blockedUntil[index], timeAware ? snake.length - i : Infinity);
+    });
+}
+
+function buildObstacles(settings, aiBoard, opponentBoard, rules, arena) {
+    const { gridSize } = rules;
+    const blockedUntil = new Array(gridSize * gridSize).fill(0);
+    addSnakeObstacles(blockedUntil, aiBoard.snake, gridSize, settings.timeAware);
+    if (arena && opponentBoard && opponentBoard.snake.length > 0) {
+        addSnakeObstacles(blockedUntil, opponentBoard.snake, gridSize, settings.timeAware);
+        // Cells the opponent's head can reach next are a head-on risk, unless we would win it
+        const winsHeadOn = rules.headOnRule === 'longerWins' && aiBoard.snake.length > opponentBoard.snake.length;
+        if (!winsHeadOn) {
+            getNeighbours(opponentBoard.snake[0], gridSize).forEach(({ cell }) => {
+                const index = cell.y * gridSize + cell.x;
+                blockedUntil[index] = Math.max(blockedUntil[index], 1);
+            });
+        }
+    }
+    return blockedUntil;
+}
+
+function isInBounds(cell, gridSize) {
+    return cell.x >= 0 && cell.x < gridSize && cell.y >= 0 && cell.y < gridSize;
+}
+
+function getNeighbours(cell, gridSize) {
+    return DIRECTION_NAMES
+        .map(name => ({ name, cell: stepFrom(cell, name) }))
+        .filter(({ cell: next }) => isInBounds(next, gridSize));
+}
+
+function isFreeOnMove(cell, moveNumber, blockedUntil, gridSize) {
+    return blockedUntil[cell.y * gridSize + cell.x] < moveNumber;
+}
+
+// BFS shortest path from start to goal, avoiding obstacles and the cells in avoid (debuffs).
+// Returns the cells to walk through (goal included, start excluded) or null.
+function findPath(start, goal, blockedUntil, avoid, gridSize) {
+    const startIndex = start.y * gridSize + start.x;
+    const previous = new Map([[startIndex, -1]]);
+    const queue = [{ cell: start, distance: 0 }];
+    for (let q = 0; q < queue.length; q++) {
+        const { cell, distance } = queue[q];
+        if (cell.x === goal.x && cell.y === goal.y) {
+            const path = [];
+            for (let index = cell.y * gridSize + cell.x; index !== startIndex; index = previous.get(index)) {
+                path.unshift({ x: index % gridSize, y: Math.floor(index / gridSize) });
+            }
+            return path;
+        }
+        for (const { cell: next } of getNeighbours(cell, gridSize)) {
+            const index = next.y * gridSize + next.x;
+            if (previous.has(index) || !isFreeOnMove(next, distance + 1, blockedUntil, gridSize)) continue;
+            if (avoid && avoid.has(index)) continue;
+            previous.set(index, cell.y * gridSize + cell.x);
+            queue.push({ cell: next, distance: distance + 1 });
+        }
+    }
+    return null;
+}
+
+// Flood fill: how many cells the snake could still get to from start (reached on move startMove).
+// Stops counting at limit, which is all the callers need to know.
+function countReachable(start, startMove, blockedUntil, gridSize, limit) {
+    const seen = new Set([start.y * gridSize + start.x]);
+    const queue = [{ cell: start, move: startMove }];
+    for (let q = 0; q < queue.length && seen.size < limit; q++) {
+        const { cell, move } = queue[q];
+        for (const { cell: next } of getNeighbours(cell, gridSize)) {
+            const index = next.y * gridSize + next.x;
+            if (seen.has(index) || !isFreeOnMove(next, move + 1, blockedUntil, gridSize)) continue;
+            seen.add(index);
+            queue.push({ cell: next, move: move + 1 });
+        }
+    }
+    return seen.size;
+}
+
+// After walking path and eating at its end, can the snake still reach its own tail (or at least
+// has it room for its whole body)? If so it can never be boxed in by its own body.
+function canReachTailAfter(path, snake, gridSize) {
+    const virtualSnake = [...path.slice().reverse(), ...snake].slice(0, snake.length + 1);
+    const blockedUntil = new Array(gridSize * gridSize).fill(0);
+    addSnakeObstacles(blockedUntil, virtualSnake, gridSize, true);
+    const virtualHead = virtualSnake[0];
+    const virtualTail = virtualSnake[virtualSnake.length - 1];
+    return findPath(virtualHead, virtualTail, blockedUntil, null, gridSize) !== null ||
+        countReachable(virtualHead, 0, blockedUntil, gridSize, virtualSnake.length) >= virtualSnake.length;
+}
+
+function getPathfindingMove(settings, aiBoard, opponentBoard, rules, arena) {
+    const { gridSize } = rules;
+    const { snake } = aiBoard;
+    const head = snake[0];
+    const items = arena || aiBoard;
+    const blockedUntil = buildObstacles(settings, aiBoard, opponentBoard, rules, arena);
+
+    let candidates = getNeighbours(head, gridSize)
+        .filter(({ name, cell }) => !isReverseDirection(aiBoard.direction, name) && isFreeOnMove(cell, 1, blockedUntil, gridSize));
+    if (candidates.length === 0) {
+        return aiBoard.direction || 'right';
+    }
+    // A speed boost may move the snake twice this tick, so the cell beyond must be free as well
+    if (hasEffect(aiBoard, 'speedBoost')) {
+        const twoStepSafe = candidates.filter(({ name, cell }) => {
+            const beyond = stepFrom(cell, name);
+            return isInBounds(beyond, gridSize) && isFreeOnMove(beyond, 2, blockedUntil, gridSize);
+        });
+        if (twoStepSafe.length > 0) candidates = twoStepSafe;
+    }
+    const roomNeeded = snake.length + 1;
+    candidates.forEach(candidate => {
+        candidate.room = countReachable(candidate.cell, 1, blockedUntil, gridSize, roomNeeded);
+    });
+
+    if (items.food) {
+        const avoid = new Set((items.debuffs || []).map(d => d.y * gridSize + d.x));
+        const path = findPath(head, items.food, blockedUntil, avoid, gridSize);
+        const firstStep = path && candidates.find(({ cell }) => cell.x === path[0].x && cell.y === path[0].y);
+        if (firstStep && firstStep.room >= roomNeeded && (!settings.checkTail || canReachTailAfter(path, snake, gridSize))) {
+            return firstStep.name;
+        }
+    }
+
+    // No safe way to the food: go wherever leaves the most room, preferring to keep going straight
+    candidates.sort((a, b) => (b.room - a.room) || ((b.name === aiBoard.direction) - (a.name === aiBoard.direction)));
+    return candidates[0].name;
+}
+
+module.exports = {
+    DIFFICULTY_LEVELS,
+    DEFAULT_DIFFICULTY,
+    isValidDifficulty,
+    createAiBrain,
+    getNextMove
+};
@@ -0,0 +1,182 @@
+// bots.js
+//
+// Bot players. Besides the built-in AI levels from ai.js (registered as 'easy', 'normal', 'hard'
+// and 'insane'), every file in the bots/ directory is a bot named after the file:
+//
+//   // bots/cornerist.js
+//   module.exports = {
+//       description: 'Hugs the walls',   // Optional, listed by GET /api/bots
+//       nextMove(view) { return view.you.direction === 'up' ? 'left' : 'up'; }
+//   };
+//
+// The view passed to nextMove() is a read-only copy, fresh every tick:
+//   tick      - ticks played so far in this game
+//   playerId  - 1 or 2
+//   rules     - the match rule set, see engine.resolveRules() (gridSize, mode, headOnRule, ...)
+//   you       - your board: { snake: [{ x, y }, ...] head first, direction, score, food, debuffs,
+//               powerups, activeEffects, isGameOver }
+//   opponent  - the other board, same shape
+//   arena     - { food, debuffs, powerups } shared by both snakes when rules.mode is 'shared', else null
+//
+// nextMove() returns 'up', 'down', 'left' or 'right' (or null to keep going). It must be synchronous
+// and return within BOT_MOVE_TIME_LIMIT_MS; if it throws, times out or returns anything else, the
+// snake keeps its current direction for that tick.
+//
+// Files from bots/ run in their own vm context without require(), one fresh instance per game, so
+// module-level variables can carry state between the moves of a game. The vm context is there to
+// enforce the time limit, it is not a security boundary: only install bots you trust.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const ai = require('./ai');
+const { createSeededRng, isValidDirection } = require('./engine');
+
+const BOTS_DIRECTORY = process.env.BOTS_DIR || path.join(__dirname, 'bots');
+const BOT_MOVE_TIME_LIMIT_MS = parseInt(process.env.BOT_MOVE_TIME_LIMIT_MS, 10) || 50;
+const BOT_LOAD_TIME_LIMIT_MS = 1000;
+const BOT_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+const FAILURE_LOG_INTERVAL = 50; // Log the first failure of a game, then every 50th
+
+const registry = new Map(); // name -> { name, description, builtIn, createInstance(seed) }
+const CALL_NEXT_MOVE = new vm.Script('__bot.nextMove(__view)');
+
+// definition: { description, builtIn, createInstance(seed) -> { nextMove(view) } }
+function registerBot(name, definition) {
+    if (!BOT_NAME_PATTERN.test(name)) throw new Error(`Invalid bot name "${name}".`);
+    if (registry.has(name)) throw new Error(`A bot named "${name}" is already registered.`);
+    registry.set(name, { name, description: definition.description || '', builtIn: !!definition.builtIn, createInstance: definition.createInstance });
+}
+
+function hasBot(name) {
+    return typeof name === 'string' && registry.has(name);
+}
+
+function listBots() {
+    return [...registry.values()].map(({ name, description, builtIn }) => ({ name, description, builtIn }));
+}
+
+Object.keys(ai.DIFFICULTY_LEVELS).forEach(difficulty => {
+    registerBot(difficulty, {
+        description: `Built-in AI, ${difficulty} difficulty`,
+        builtIn: true,
+        createInstance(seed) {
+            const brain = ai.createAiBrain(difficulty, createSeededRng(seed));
+            return { nextMove: view => ai.getNextMove(brain, view.you, view.opponent, view.rules, view.arena) };
+        }
+    });
+});
+
+// --- Bots Directory ---
+function createSandboxedInstance(script, filePath) {
+    const context = vm.createContext({ console, module: { exports: {} } });
+    script.runInContext(context, { timeout: BOT_LOAD_TIME_LIMIT_MS });
+    const bot = context.module.exports;
+    if (!bot || typeof bot.nextMove !== 'function') throw new Error(`${filePath} does not export nextMove(view).`);
+    context.__bot = bot;
+    return {
+        description: typeof bot.description === 'string' ? bot.description : '',
+        nextMove(view) {
+            context.__view = view;
+            return CALL_NEXT_MOVE.runInContext(context, { timeout: BOT_MOVE_TIME_LIMIT_MS });
+        }
+    };
+}
+
+function loadBotFile(filePath) {
+    const source = fs.readFileSync(filePath, 'utf8');
+    const script = new vm.Script(`(function (module, exports) {\n${source}\n})(module, module.exports);`, { filename: filePath });
+    const probe = createSandboxedInstance(script, filePath); // Fails here, at startup, rather than mid-game
+    return {
+        description: probe.description,
+        builtIn: false,
+        createInstance: () => createSandboxedInstance(script, filePath)
+    };
+}
+
+// Registers every bots/*.js file. A broken bot is logged and skipped; a missing directory is fine.
+function loadBotsDirectory(directory = BOTS_DIRECTORY) {
+    if (!fs.existsSync(directory)) return [];
+    const loaded = [];
+    fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort().forEach(file => {
+        const name = path.basename(file, '.js');
+        try {
+            registerBot(name, loadBotFile(path.join(directory, file)));
+            loaded.push(name);
+        } catch (error) {
+            console.error(`Could not load bot ${file}:`, error.message);
+        }
+    });
+    return loaded;
+}
+
+// --- Playing ---
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+// state: { tick, rules, boards, arena } as passed to engine.step()
+function buildBotView(state, playerId) {
+    const opponentId = playerId === 1 ? 2 : 1;
+    return deepFreeze(JSON.parse(JSON.stringify({
+        tick: state.tick,
+        playerId,
+        rules: state.rules,
+        you: state.boards[playerId],
+        opponent: state.boards[opponentId],
+        arena: state.arena || null
+    })));
+}
+
+// One bot playing one game. chooseMove() never throws and always returns a direction.
+// seed feeds the bot's own randomness (the built-in levels' deliberate mistakes).
+function createBotController(name, seed) {
+    const bot = registry.get(name);
+    if (!bot) throw new Error(`Unknown bot "${name}".`);
+    const controller = { name, failures: 0, instance: null };
+    try {
+        controller.instance = bot.createInstance(seed);
+    } catch (error) {
+        console.error(`Bot "${name}" failed to start:`, error.message);
+    }
+
+    controller.chooseMove = (state, playerId) => {
+        const currentDirection = state.boards[playerId].direction;
+        let failure = null;
+        let direction = null;
+        if (!controller.instance) {
+            failure = 'did not start';
+        } else {
+            const startedAt = Date.now();
+            try {
+                direction = controller.instance.nextMove(buildBotView(state, playerId));
+                if (Date.now() - startedAt > BOT_MOVE_TIME_LIMIT_MS) failure = `took longer than ${BOT_MOVE_TIME_LIMIT_MS}ms`;
+                else if (direction !== null && direction !== undefined && !isValidDirection(direction)) failure = `returned ${JSON.stringify(direction)}`;
+            } catch (error) {
+                failure = error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? `took longer than ${BOT_MOVE_TIME_LIMIT_MS}ms` : `threw: ${error.message}`;
+            }
+        }
+        if (failure) {
+            controller.failures++;
+            if (controller.failures === 1 || controller.failures % FAILURE_LOG_INTERVAL === 0) {
+                console.warn(`Bot "${name}" ${failure} (${controller.failures} failed moves); keeping its current direction.`);
+            }
+            return currentDirection;
+        }
+        return direction || currentDirection;
+    };
+    return controller;
+}
+
+module.exports = {
+    BOT_MOVE_TIME_LIMIT_MS,
+    registerBot,
+    hasBot,
+    listBots,
+    loadBotsDirectory,
+    createBotController
+};
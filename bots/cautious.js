@@ -0,0 +1,33 @@
+// Example bot: walks towards the food, never into a wall or a body it can see right now.
+// Copy this file to start your own; see bots.js for everything that is in the view.
+
+const MOVES = {
+    up:    { dx: 0,  dy: -1 },
+    down:  { dx: 0,  dy: 1 },
+    left:  { dx: -1, dy: 0 },
+    right: { dx: 1,  dy: 0 }
+};
+const OPPOSITE = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+module.exports = {
+    description: 'Example bot: heads for the food, dodging walls and bodies one step ahead',
+
+    nextMove(view) {
+        const { you, opponent, arena, rules } = view;
+        const head = you.snake[0];
+        const food = arena ? arena.food : you.food;
+        const bodies = arena ? [...you.snake, ...opponent.snake] : you.snake;
+
+        const safeMoves = Object.keys(MOVES).filter(name => {
+            if (name === OPPOSITE[you.direction]) return false;
+            const x = head.x + MOVES[name].dx;
+            const y = head.y + MOVES[name].dy;
+            if (x < 0 || y < 0 || x >= rules.gridSize || y >= rules.gridSize) return false;
+            return !bodies.some(segment => segment.x === x && segment.y === y);
+        });
+        if (safeMoves.length === 0 || !food) return null;
+
+        const distance = name => Math.abs(head.x + MOVES[name].dx - food.x) + Math.abs(head.y + MOVES[name].dy - food.y);
+        return safeMoves.reduce((best, name) => (distance(name) < distance(best) ? name : best));
+    }
+};
@@ -0,0 +1,116 @@
+// delta.js
+//
+// Per-tick deltas of the 'gameState' payload (see getBoardsWithPlayerNames() in server.js). A snake
+// only gains heads at the front and loses segments at the tail from one tick to the next, so a board
+// delta is usually a head segment plus a tail count instead of the whole snake:
+//
+//   const delta = createDelta(previousState, currentState);   // null if nothing changed
+//   const state = applyDelta(previousState, delta);           // what the client does
+//
+// A board delta has any of:
+//   snakeHead - segments to put in front of the snake, head first
+//   snakeTrim - number of segments to drop from the tail (before snakeHead is added)
+//   changes   - { field: value } for every other field whose value changed
+//   removed   - fields that are gone
+// The arena (shared mode) uses changes/removed only, and boards and the arena are left out when
+// unchanged. An entry that appears, disappears or is not an object on one side goes whole into the
+// top-level `replaced` (or `removed`). Sequence numbers are the server's business; this file only diffs.
+
+const STATE_KEYS = ['1', '2', 'arena'];
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isSameSegment(a, b) {
+    return a.x === b.x && a.y === b.y;
+}
+
+// Fewest new head segments such that the rest of the snake is the front of the previous snake.
+// Falls back to replacing every segment when the snake jumped (a new game, a resync).
+function diffSnake(previousSnake, snake) {
+    for (let headCount = 0; headCount <= snake.length; headCount++) {
+        const rest = snake.length - headCount;
+        if (rest > previousSnake.length) continue;
+        let matches = true;
+        for (let i = 0; i < rest && matches; i++) {
+            matches = isSameSegment(snake[headCount + i], previousSnake[i]);
+        }
+        if (matches) return { head: snake.slice(0, headCount), trim: previousSnake.length - rest };
+    }
+    return { head: snake.slice(), trim: previousSnake.length };
+}
+
+function diffFields(previous, current, skip = []) {
+    const delta = {};
+    const changes = {};
+    Object.keys(current).forEach(key => {
+        if (!skip.includes(key) && !isEqual(previous[key], current[key])) changes[key] = current[key];
+    });
+    const removed = Object.keys(previous).filter(key => !skip.includes(key) && !(key in current));
+    if (Object.keys(changes).length > 0) delta.changes = changes;
+    if (removed.length > 0) delta.removed = removed;
+    return delta;
+}
+
+function diffBoard(previous, current) {
+    const canDiffSnake = Array.isArray(previous.snake) && Array.isArray(current.snake);
+    const delta = diffFields(previous, current, canDiffSnake ? ['snake'] : []);
+    if (canDiffSnake) {
+        const { head, trim } = diffSnake(previous.snake, current.snake);
+        if (head.length > 0) delta.snakeHead = head;
+        if (trim > 0) delta.snakeTrim = trim;
+    }
+    return delta;
+}
+
+// Returns { 1?, 2?, arena?, replaced?, removed? }, or null when the states are the same.
+function createDelta(previous, current) {
+    const delta = {};
+    const replaced = {};
+    STATE_KEYS.forEach(key => {
+        const before = previous[key];
+        const after = current[key];
+        if (after === undefined) return;
+        if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+            if (!isEqual(before, after)) replaced[key] = after;
+            return;
+        }
+        const entryDelta = key === 'arena' ? diffFields(before, after) : diffBoard(before, after);
+        if (Object.keys(entryDelta).length > 0) delta[key] = entryDelta;
+    });
+    if (Object.keys(replaced).length > 0) delta.replaced = replaced;
+    const removed = STATE_KEYS.filter(key => previous[key] !== undefined && current[key] === undefined);
+    if (removed.length > 0) delta.removed = removed;
+    return Object.keys(delta).length > 0 ? delta : null;
+}
+
+function applyFields(target, delta) {
+    if (delta.changes) Object.assign(target, delta.changes);
+    if (delta.removed) delta.removed.forEach(key => { delete target[key]; });
+}
+
+// The state the delta leads to; previous is not modified.
+function applyDelta(previous, delta) {
+    const state = { ...previous };
+    if (!delta) return state;
+    STATE_KEYS.forEach(key => {
+        const entryDelta = delta[key];
+        if (!entryDelta) return;
+        const entry = { ...state[key] };
+        applyFields(entry, entryDelta);
+        if (entryDelta.snakeHead || entryDelta.snakeTrim) {
+            const kept = entry.snake.slice(0, entry.snake.length - (entryDelta.snakeTrim || 0));
+            entry.snake = [...(entryDelta.snakeHead || []), ...kept];
+        }
+        state[key] = entry;
+    });
+    if (delta.replaced) Object.assign(state, delta.replaced);
+    if (delta.removed) delta.removed.forEach(key => { delete state[key]; });
+    return state;
+}
+
+module.exports = {
+    createDelta,
+    applyDelta
+};
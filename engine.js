@@ -0,0 +1,576 @@
+// engine.js
+//
+// The game rules, free of Express, Socket.IO and MongoDB. server.js (or a headless script)
+// drives a match by calling step() once per tick:
+//
+//   let state = createInitialState(seed, false, {}, resolveRules({ preset: 'blitz' }).rules);
+//   const { state: nextState, events } = step(state, { 1: 'up', 2: null });
+//
+// A state is plain data: { tick, rules, boards: { 1: board, 2: board }, arena, rngStates }, where rngStates
+// holds the uint32 state of every random stream (see createRngStates()).
+// arena is null unless rules.mode is 'shared', see "Shared Arena" below.
+// step() never mutates its input; it returns the next state plus abstract events
+// ('directionChanged', 'ateFood', 'debuffSent', 'debuffHit', 'powerupSpawned', 'powerupCollected',
+// 'effectExpired', 'collision', 'gameOver') that the transport layer maps to sounds,
+// gameOver messages and persistence.
+
+// --- Rule Sets ---
+// A rule set travels with the match state. tickRate, countdownSeconds and cellSize are not used by
+// step() itself, but they belong to the same per-match choice and the server reads them from here.
+const RULE_PRESETS = {
+    classic:  { mode: 'split',  headOnRule: 'draw',       gridSize: 20, tickRate: 150, minSnakeLength: 2, debuffTriggerCount: 3, debuffShrinkAmount: 2, countdownSeconds: 3, cellSize: 20 },
+    blitz:    { mode: 'split',  headOnRule: 'draw',       gridSize: 16, tickRate: 90,  minSnakeLength: 2, debuffTriggerCount: 2, debuffShrinkAmount: 3, countdownSeconds: 2, cellSize: 25 },
+    bigArena: { mode: 'split',  headOnRule: 'draw',       gridSize: 40, tickRate: 120, minSnakeLength: 3, debuffTriggerCount: 4, debuffShrinkAmount: 2, countdownSeconds: 3, cellSize: 12 },
+    arena:    { mode: 'shared', headOnRule: 'longerWins', gridSize: 24, tickRate: 130, minSnakeLength: 2, debuffTriggerCount: 3, debuffShrinkAmount: 2, countdownSeconds: 3, cellSize: 18 }
+};
+const DEFAULT_RULES = RULE_PRESETS.classic;
+const RULE_CHOICES = { // Allowed values for the non-numeric rules
+    mode:       ['split', 'shared'],     // 'split': a board per player; 'shared': both snakes on one grid
+    headOnRule: ['draw', 'longerWins']   // Shared arena only: who survives when the heads meet
+};
+const RULE_BOUNDS = { // Inclusive integer bounds for custom values
+    gridSize:           { min: 10, max: 60 },
+    tickRate:           { min: 50, max: 500 },
+    minSnakeLength:     { min: 1,  max: 5 },
+    debuffTriggerCount: { min: 1,  max: 20 },
+    debuffShrinkAmount: { min: 0,  max: 10 },
+    countdownSeconds:   { min: 0,  max: 10 },
+    cellSize:           { min: 5,  max: 40 }
+};
+
+// options: { preset: 'classic' | 'blitz' | 'bigArena' | 'arena', ...custom values overriding the preset }.
+// Returns { rules } on success or { error } with a message for the client.
+function resolveRules(options) {
+    if (options === undefined || options === null) return { rules: { ...DEFAULT_RULES } };
+    if (typeof options !== 'object') return { error: 'Rules must be an object.' };
+    const presetName = options.preset === undefined ? 'classic' : options.preset;
+    if (!Object.prototype.hasOwnProperty.call(RULE_PRESETS, presetName)) {
+        return { error: `Unknown rule preset "${presetName}". Choose one of: ${Object.keys(RULE_PRESETS).join(', ')}.` };
+    }
+    const rules = { ...RULE_PRESETS[presetName] };
+    for (const key of Object.keys(options)) {
+        if (key === 'preset') continue;
+        // Own keys only: 'constructor' or 'toString' must not find Object.prototype's members
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_RULES, key)) return { error: `Unknown rule "${key}".` };
+        if (Object.prototype.hasOwnProperty.call(RULE_CHOICES, key)) {
+            if (!RULE_CHOICES[key].includes(options[key])) {
+                return { error: `Rule "${key}" must be one of: ${RULE_CHOICES[key].join(', ')}.` };
+            }
+            rules[key] = options[key];
+            continue;
+        }
+        if (!Object.prototype.hasOwnProperty.call(RULE_BOUNDS, key)) return { error: `Unknown rule "${key}".` };
+        const bounds = RULE_BOUNDS[key];
+        const value = Number(options[key]);
+        if (!Number.isInteger(value) || value < bounds.min || value > bounds.max) {
+            return { error: `Rule "${key}" must be an integer between ${bounds.min} and ${bounds.max}.` };
+        }
+        rules[key] = value;
+    }
+    return { rules };
+}
+
+// Name of the preset these rules match exactly, or 'custom' if any value was changed.
+function getRulePresetName(rules) {
+    const presetName = Object.keys(RULE_PRESETS).find(name =>
+        Object.keys(RULE_PRESETS[name]).every(key => RULE_PRESETS[name][key] === rules[key]));
+    return presetName || 'custom';
+}
+
+// --- Scoring ---
+const FOOD_SCORE = 10;
+const DEBUFF_PENALTY = 5;
+
+// --- Power-ups ---
+// Each board spawns its own power-ups from its own rng stream, so "same seed" matches stay fair.
+// duration is in ticks; 0 means the power-up acts once when collected.
+const POWERUP_TYPES = {
+    speedBoost:     { duration: 30 }, // Snake moves an extra cell every other tick
+    ghost:          { duration: 40 }, // Snake can pass through its own tail
+    freezeOpponent: { duration: 12 }, // Opponent's snake stops moving (gets the 'frozen' effect)
+    clearDebuffs:   { duration: 0 },  // Removes every debuff from your board
+    doublePoints:   { duration: 60 }  // Food is worth twice as much
+};
+const POWERUP_TYPE_NAMES = Object.keys(POWERUP_TYPES);
+const FROZEN_EFFECT = 'frozen';
+const POWERUP_SPAWN_INTERVAL = 40; // Ticks between spawn attempts on a board
+const POWERUP_LIFETIME = 60; // Ticks an uncollected power-up stays on the board
+const MAX_POWERUPS_PER_BOARD = 1;
+
+const DIRECTIONS = {
+    up:    { dx: 0,  dy: -1 },
+    down:  { dx: 0,  dy: 1 },
+    left:  { dx: -1, dy: 0 },
+    right: { dx: 1,  dy: 0 }
+};
+const OPPOSITE_DIRECTIONS = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+// --- Seeded Randomness ---
+// All in-game randomness (food, debuff and power-up placement) comes from per-board seeded generators,
+// so a game can be reproduced from its seed. mulberry32: small, fast and good enough for a grid.
+// The generator state is a single uint32 kept in state.rngStates, which keeps states serializable.
+const MAX_SEED = 0xFFFFFFFF;
+const DEBUFF_SEED_SALT = 0x85EBCA6B;
+
+function nextRandom(rngState) {
+    const nextState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, rngState: nextState };
+}
+
+// Returns an rng() function that advances holder[key] on every call.
+function createRngFromState(holder, key) {
+    return function () {
+        const { value, rngState } = nextRandom(holder[key]);
+        holder[key] = rngState;
+        return value;
+    };
+}
+
+function createSeededRng(seed) {
+    return createRngFromState({ state: seed >>> 0 }, 'state');
+}
+
+function generateSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1)) >>> 0;
+}
+
+// Each board has a stream for its food and power-ups (1, 2) and one for the debuffs the opponent
+// sends it (debuffs1, debuffs2), so receiving debuffs never moves a board's food. Board 2's streams
+// are derived from the match seed, unless the match asked for "same seed" play, in which case both
+// boards draw from identical streams.
+function createRngStates(seed, sameSeed = false) {
+    const board2Seed = sameSeed ? seed >>> 0 : (seed ^ 0x9E3779B9) >>> 0;
+    return {
+        1: seed >>> 0,
+        2: board2Seed,
+        debuffs1: (seed ^ DEBUFF_SEED_SALT) >>> 0,
+        debuffs2: (board2Seed ^ DEBUFF_SEED_SALT) >>> 0
+    };
+}
+
+// --- Boards ---
+function getRandomPosition(exclude = [], rng = Math.random, gridSize = DEFAULT_RULES.gridSize) {
+    let position, occupied = true, attempts = 0;
+    const maxAttempts = gridSize * gridSize;
+    while (occupied && attempts < maxAttempts) {
+        position = { x: Math.floor(rng() * gridSize), y: Math.floor(rng() * gridSize) };
+        const currentExcludes = Array.isArray(exclude) ? exclude : []; // Ensure exclude is an array
+        occupied = currentExcludes.some(item => item && item.x === position.x && item.y === position.y);
+        attempts++;
+    }
+    if (occupied && attempts >= maxAttempts) console.warn("Could not find an empty spot for item after max attempts!");
+    return position || { x: 0, y: 0 };
+}
+
+// rng defaults to Math.random for placeholder boards shown outside a game; real games pass a seeded rng.
+// In a shared arena the board only holds the snake; food, debuffs and power-ups live in state.arena.
+function createNewBoardState(playerId, playerNameFromArg, rng = Math.random, rules = DEFAULT_RULES) {
+    const { gridSize } = rules;
+    const shared = isSharedArena(rules);
+    const playerName = playerNameFromArg || `Player ${playerId}`;
+    const startColor = playerId === 1 ? 'green' : 'blue';
+    let startX = Math.floor(gridSize / 4) + (playerId === 1 ? 0 : Math.floor(gridSize / 2.5)); // slightly different start for P2
+    let startY = Math.floor(gridSize / 2);
+    let direction = 'right';
+    if (shared && playerId === 2) { // Opposite corner, heading back towards Player 1's side
+        startX = gridSize - 1 - Math.floor(gridSize / 4);
+        startY = gridSize - 1 - Math.floor(gridSize / 4);
+        direction = 'left';
+    } else if (shared) {
+        startY = Math.floor(gridSize / 4);
+    }
+    const { dx, dy } = DIRECTIONS[direction];
+    const initialSnake = [{ x: startX, y: startY }, { x: startX - dx, y: startY - dy }];
+    return {
+        playerId: playerId,
+        snake: initialSnake,
+        direction,
+        dx, // Initial dx
+        dy,  // Initial dy
+        color: startColor,
+        score: 0,
+        food: shared ? null : getRandomPosition(initialSnake, rng, gridSize),
+        debuffs: [],
+        powerups: [], // [{ x, y, type, expiresAtTick }]
+        activeEffects: [], // [{ type, expiresAtTick }], see POWERUP_TYPES and FROZEN_EFFECT
+        nextPowerupTick: POWERUP_SPAWN_INTERVAL,
+        foodEatenCounter: 0,
+        isGameOver: false,
+        playerName: playerName
+    };
+}
+
+// playerNames: { 1: 'alice', 2: 'bob' } (optional); rules: a rule set from resolveRules()
+function createInitialState(seed, sameSeed = false, playerNames = {}, rules = DEFAULT_RULES) {
+    const rngStates = createRngStates(seed, sameSeed);
+    const boards = {
+        1: createNewBoardState(1, playerNames[1], createRngFromState(rngStates, 1), rules),
+        2: createNewBoardState(2, playerNames[2], createRngFromState(rngStates, 2), rules)
+    };
+    let arena = null;
+    if (isSharedArena(rules)) {
+        rngStates.arena = seed >>> 0; // sameSeed has nothing to equalize when there is only one grid
+        rngStates.arenaDebuffs = (seed ^ DEBUFF_SEED_SALT) >>> 0;
+        arena = createArena(boards, createRngFromState(rngStates, 'arena'), rules);
+    }
+    return { tick: 0, rules: { ...rules }, boards, arena, rngStates };
+}
+
+function cloneBoard(board) {
+    if (!board) return board;
+    return {
+        ...board,
+        snake: board.snake.map(segment => ({ ...segment })),
+        food: board.food ? { ...board.food } : board.food,
+        debuffs: (board.debuffs || []).map(d => ({ ...d })),
+        powerups: (board.powerups || []).map(p => ({ ...p })),
+        activeEffects: (board.activeEffects || []).map(effect => ({ ...effect }))
+    };
+}
+
+function cloneState(state) {
+    return {
+        ...state,
+        rules: state.rules || DEFAULT_RULES,
+        boards: { 1: cloneBoard(state.boards[1]), 2: cloneBoard(state.boards[2]) },
+        arena: state.arena ? cloneArena(state.arena) : null,
+        rngStates: { ...state.rngStates }
+    };
+}
+
+// --- Shared Arena ---
+// With rules.mode 'shared' both snakes move on one grid: they race for the same food, debuffs and
+// power-ups land on that grid (state.arena), and running into the other snake ends your game.
+function isSharedArena(rules) {
+    return !!rules && rules.mode === 'shared';
+}
+
+function createArena(boards, rng, rules) {
+    return {
+        food: getRandomPosition([...boards[1].snake, ...boards[2].snake], rng, rules.gridSize),
+        debuffs: [],
+        powerups: [],
+        nextPowerupTick: POWERUP_SPAWN_INTERVAL
+    };
+}
+
+function cloneArena(arena) {
+    return {
+        ...arena,
+        food: arena.food ? { ...arena.food } : arena.food,
+        debuffs: arena.debuffs.map(d => ({ ...d })),
+        powerups: arena.powerups.map(p => ({ ...p }))
+    };
+}
+
+// Where a player's food, debuffs and power-ups live: their own board, or the shared arena.
+function getItemHolder(next, playerId) {
+    return isSharedArena(next.rules) ? next.arena : next.boards[playerId];
+}
+
+function getRngKey(next, playerId) {
+    return isSharedArena(next.rules) ? 'arena' : playerId;
+}
+
+// Stream for debuffs landing where playerId's items live, see createRngStates()
+function getDebuffRngKey(next, playerId) {
+    return isSharedArena(next.rules) ? 'arenaDebuffs' : `debuffs${playerId}`;
+}
+
+// Cells a new item for playerId must not land on: every snake on that grid plus the items already there.
+function getOccupiedCells(next, playerId) {
+    const holder = getItemHolder(next, playerId);
+    const snakes = isSharedArena(next.rules)
+        ? [1, 2].map(id => next.boards[id]).filter(Boolean).map(board => board.snake)
+        : [next.boards[playerId].snake];
+    return [...snakes.flat(), holder.food, ...(holder.debuffs || []), ...(holder.powerups || [])];
+}
+
+function crashSnake(next, playerId, reason, events) {
+    next.boards[playerId].isGameOver = true;
+    events.push({ type: 'collision', playerId, reason });
+}
+
+// Runs after both snakes have moved. Heads meeting (on one cell, or passing through each other) are
+// settled by rules.headOnRule; otherwise a head on the other snake's body crashes that snake.
+// Returns true if anyone crashed.
+function resolveArenaCollisions(next, previousHeads, events) {
+    const p1 = next.boards[1];
+    const p2 = next.boards[2];
+    if (!p1 || !p2 || p1.snake.length === 0 || p2.snake.length === 0) return false;
+    const sameCell = (a, b) => !!a && !!b && a.x === b.x && a.y === b.y;
+    const head1 = p1.snake[0];
+    const head2 = p2.snake[0];
+
+    if (!p1.isGameOver && !p2.isGameOver &&
+        (sameCell(head1, head2) || (sameCell(head1, previousHeads[2]) && sameCell(head2, previousHeads[1])))) {
+        let losers = [1, 2];
+        if (next.rules.headOnRule === 'longerWins' && p1.snake.length !== p2.snake.length) {
+            losers = [p1.snake.length < p2.snake.length ? 1 : 2];
+        }
+        losers.forEach(playerId => crashSnake(next, playerId, 'headOnCollision', events));
+        return true;
+    }
+
+    let crashed = false;
+    [[p1, p2], [p2, p1]].forEach(([board, other]) => {
+        if (board.isGameOver) return;
+        if (other.snake.slice(1).some(segment => sameCell(segment, board.snake[0]))) {
+            crashSnake(next, board.playerId, 'bodyCollision', events);
+            crashed = true;
+        }
+    });
+    return crashed;
+}
+
+// --- Directions ---
+function isValidDirection(direction) {
+    return typeof direction === 'string' && Object.prototype.hasOwnProperty.call(DIRECTIONS, direction);
+}
+
+function isReverseDirection(currentDirection, newDirection) {
+    return OPPOSITE_DIRECTIONS[currentDirection] === newDirection;
+}
+
+// Points the board's snake in a new direction unless that would reverse it. Returns true if it turned.
+function applyDirection(board, direction) {
+    if (!isValidDirection(direction) || direction === board.direction) return false;
+    if (board.direction && isReverseDirection(board.direction, direction)) return false;
+    board.direction = direction;
+    board.dx = DIRECTIONS[direction].dx;
+    board.dy = DIRECTIONS[direction].dy;
+    return true;
+}
+
+// --- Effects ---
+function hasEffect(board, type) {
+    return (board.activeEffects || []).some(effect => effect.type === type);
+}
+
+// Adds an effect, or extends it if the board already has one of that type.
+function addEffect(board, type, expiresAtTick) {
+    const existing = board.activeEffects.find(effect => effect.type === type);
+    if (existing) existing.expiresAtTick = Math.max(existing.expiresAtTick, expiresAtTick);
+    else board.activeEffects.push({ type, expiresAtTick });
+}
+
+function expireEffectsAndPowerups(next, events) {
+    if (next.arena) next.arena.powerups = next.arena.powerups.filter(powerup => powerup.expiresAtTick > next.tick);
+    [1, 2].forEach(playerId => {
+        const board = next.boards[playerId];
+        if (!board) return;
+        board.activeEffects = (board.activeEffects || []).filter(effect => {
+            if (effect.expiresAtTick > next.tick) return true;
+            events.push({ type: 'effectExpired', playerId, effect: effect.type });
+            return false;
+        });
+        board.powerups = (board.powerups || []).filter(powerup => powerup.expiresAtTick > next.tick);
+    });
+}
+
+// A shared arena spawns one set of power-ups for both snakes (powerupSpawned then has playerId null).
+function spawnPowerups(next, events) {
+    if (isSharedArena(next.rules)) {
+        spawnPowerupInto(next, null, events);
+        return;
+    }
+    [1, 2].forEach(playerId => {
+        const board = next.boards[playerId];
+        if (!board || board.isGameOver) return;
+        spawnPowerupInto(next, playerId, events);
+    });
+}
+
+function spawnPowerupInto(next, playerId, events) {
+    const holder = getItemHolder(next, playerId);
+    if (next.tick < holder.nextPowerupTick) return;
+    holder.nextPowerupTick = next.tick + POWERUP_SPAWN_INTERVAL;
+    if (holder.powerups.length >= MAX_POWERUPS_PER_BOARD) return;
+    const rng = createRngFromState(next.rngStates, getRngKey(next, playerId));
+    const type = POWERUP_TYPE_NAMES[Math.floor(rng() * POWERUP_TYPE_NAMES.length)];
+    const position = getRandomPosition(getOccupiedCells(next, playerId), rng, next.rules.gridSize);
+    const powerup = { x: position.x, y: position.y, type, expiresAtTick: next.tick + POWERUP_LIFETIME };
+    holder.powerups.push(powerup);
+    events.push({ type: 'powerupSpawned', playerId, powerup: { ...powerup } });
+}
+
+function collectPowerup(next, playerId, powerup, events) {
+    const board = next.boards[playerId];
+    const { duration } = POWERUP_TYPES[powerup.type];
+    switch (powerup.type) {
+        case 'clearDebuffs':
+            getItemHolder(next, playerId).debuffs = [];
+            break;
+        case 'freezeOpponent': {
+            const opponentBoard = next.boards[playerId === 1 ? 2 : 1];
+            if (opponentBoard && !opponentBoard.isGameOver) addEffect(opponentBoard, FROZEN_EFFECT, next.tick + duration);
+            break;
+        }
+        default:
+            addEffect(board, powerup.type, next.tick + duration);
+    }
+    events.push({ type: 'powerupCollected', playerId, powerup: powerup.type });
+}
+
+// --- Tick ---
+// Moves one snake one cell, resolving walls, its own body, food, debuffs and power-ups.
+// Returns true if this move ended the game for that snake.
+function advanceSnake(next, playerId, events) {
+    const { boards, rules } = next;
+    const { gridSize, minSnakeLength } = rules;
+    const board = boards[playerId];
+    const items = getItemHolder(next, playerId);
+    let gameShouldEnd = false;
+    const rng = createRngFromState(next.rngStates, getRngKey(next, playerId));
+    const currentHead = { ...board.snake[0] };
+    const nextHead = { x: currentHead.x + board.dx, y: currentHead.y + board.dy };
+
+    if (nextHead.x < 0 || nextHead.x >= gridSize || nextHead.y < 0 || nextHead.y >= gridSize) {
+        board.isGameOver = true;
+        events.push({ type: 'collision', playerId, reason: 'wallCollision' });
+        return true;
+    }
+    if (!hasEffect(board, 'ghost')) { // Ghosts pass through their own tail
+        for (let i = 0; i < board.snake.length; i++) {
+            if (nextHead.x === board.snake[i].x && nextHead.y === board.snake[i].y) {
+                board.isGameOver = true;
+                events.push({ type: 'collision', playerId, reason: 'selfCollision' });
+                return true;
+            }
+        }
+    }
+
+    let ateFood = false;
+    let justShrunkByDebuff = false;
+    if (items.food && nextHead.x === items.food.x && nextHead.y === items.food.y) {
+        ateFood = true;
+        board.score += hasEffect(board, 'doublePoints') ? FOOD_SCORE * 2 : FOOD_SCORE;
+        board.foodEatenCounter++;
+        items.food = getRandomPosition(getOccupiedCells(next, playerId), rng, gridSize);
+        events.push({ type: 'ateFood', playerId });
+        if (board.foodEatenCounter >= rules.debuffTriggerCount) {
+            board.foodEatenCounter = 0;
+            const opponentId = playerId === 1 ? 2 : 1;
+            const opponentBoard = boards[opponentId];
+            if (opponentBoard && !opponentBoard.isGameOver) { // In a shared arena the debuff is a hazard for both
+                const debuffRng = createRngFromState(next.rngStates, getDebuffRngKey(next, opponentId));
+                const position = getRandomPosition(getOccupiedCells(next, opponentId), debuffRng, gridSize);
+                getItemHolder(next, opponentId).debuffs.push(position);
+                events.push({ type: 'debuffSent', playerId, targetPlayerId: opponentId, position: { ...position } });
+            }
+        }
+    }
+
+    const eatenDebuffIndex = items.debuffs.findIndex(d => d.x === nextHead.x && d.y === nextHead.y);
+    if (eatenDebuffIndex !== -1) {
+        items.debuffs.splice(eatenDebuffIndex, 1);
+        board.score = Math.max(0, board.score - DEBUFF_PENALTY);
+        let segmentsToRemove = rules.debuffShrinkAmount;
+        while (segmentsToRemove > 0 && board.snake.length > minSnakeLength) {
+            board.snake.pop();
+            segmentsToRemove--;
+        }
+        justShrunkByDebuff = true;
+        events.push({ type: 'debuffHit', playerId });
+    }
+
+    const collectedIndex = items.powerups.findIndex(p => p.x === nextHead.x && p.y === nextHead.y);
+    if (collectedIndex !== -1) {
+        const [powerup] = items.powerups.splice(collectedIndex, 1);
+        collectPowerup(next, playerId, powerup, events);
+    }
+
+    board.snake.unshift(nextHead);
+    if (!ateFood && !justShrunkByDebuff) {
+        if (board.snake.length > minSnakeLength) {
+             board.snake.pop();
+        } else if (board.snake.length > 1 && board.score === 0) {
+             board.snake.pop();
+        }
+    } else if (justShrunkByDebuff && board.snake.length === 0) {
+        board.isGameOver = true; gameShouldEnd = true;
+    }
+    if (board.snake.length === 0) {
+        board.isGameOver = true; gameShouldEnd = true;
+    }
+    return gameShouldEnd;
+}
+
+// inputs: { 1: direction | null, 2: direction | null }, applied before anything moves.
+function step(state, inputs = {}) {
+    const next = cloneState(state);
+    const { boards } = next;
+    const events = [];
+    next.tick = state.tick + 1;
+
+    [1, 2].forEach(playerId => {
+        const board = boards[playerId];
+        if (!board || board.isGameOver || !inputs[playerId]) return;
+        if (applyDirection(board, inputs[playerId])) {
+            events.push({ type: 'directionChanged', playerId, direction: board.direction });
+        }
+    });
+
+    expireEffectsAndPowerups(next, events);
+
+    let gameShouldEnd = false;
+    const previousHeads = { 1: boards[1]?.snake[0], 2: boards[2]?.snake[0] };
+    [1, 2].forEach(playerId => {
+        const board = boards[playerId];
+        if (!board || board.isGameOver || hasEffect(board, FROZEN_EFFECT)) return;
+        if (advanceSnake(next, playerId, events)) gameShouldEnd = true;
+        // Speed boost: an extra cell every other tick
+        if (!board.isGameOver && hasEffect(board, 'speedBoost') && next.tick % 2 === 0) {
+            if (advanceSnake(next, playerId, events)) gameShouldEnd = true;
+        }
+    });
+    if (isSharedArena(next.rules) && resolveArenaCollisions(next, previousHeads, events)) gameShouldEnd = true;
+
+    spawnPowerups(next, events);
+
+    if (gameShouldEnd || boards[1]?.isGameOver || boards[2]?.isGameOver) {
+        const p1 = boards[1];
+        const p2 = boards[2];
+        let winnerId = 0; // 0 = draw
+        if (p1?.isGameOver && p2?.isGameOver) winnerId = 0;
+        else if (p1?.isGameOver) winnerId = 2;
+        else if (p2?.isGameOver) winnerId = 1;
+        events.push({ type: 'gameOver', winnerId, reason: (p1?.isGameOver && p2?.isGameOver) ? 'draw' : 'collision' });
+    }
+
+    return { state: next, events };
+}
+
+function isGameOver(state) {
+    return !!(state.boards[1]?.isGameOver || state.boards[2]?.isGameOver);
+}
+
+module.exports = {
+    RULE_PRESETS,
+    RULE_BOUNDS,
+    RULE_CHOICES,
+    DEFAULT_RULES,
+    POWERUP_TYPES,
+    FROZEN_EFFECT,
+    DIRECTIONS,
+    MAX_SEED,
+    resolveRules,
+    getRulePresetName,
+    isSharedArena,
+    createSeededRng,
+    createRngFromState,
+    createRngStates,
+    generateSeed,
+    getRandomPosition,
+    createNewBoardState,
+    createInitialState,
+    isValidDirection,
+    isReverseDirection,
+    applyDirection,
+    step,
+    hasEffect,
+    isGameOver
+};
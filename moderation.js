@@ -0,0 +1,207 @@
+// moderation.js
+//
+// Name moderation and bans. The rules are stored in MongoDB (ModerationRule in server.js), which
+// loads them here at startup and after every admin change; this file holds them in memory and answers:
+//
+//   moderation.getNameModerationError('Sn4ke_K1ng');   // rejection message, or null if the name is fine
+//   moderation.findBan({ ip, fingerprint });          // the ban rule that applies, or null
+//
+// Rule kinds (a rule is { kind, value, reason, expiresAt }):
+//   blockedWord    - added to the profanity filter on top of its built-in list
+//   bannedName     - a name nobody may play or register under
+//   reservedName   - a name only the server uses (on top of the reservedNames given to configureModeration())
+//   ipBan          - sockets from this address are refused
+//   fingerprintBan - sockets sending this fingerprint (io({ auth: { fingerprint } })) are refused
+// expiresAt is null for a permanent rule; expired rules are ignored.
+//
+// Names are compared in their normalized form: lowercase, leetspeak turned back into letters and
+// everything but letters dropped, so 'AI Snake', 'ai_snake' and 'A1-5nake' are the same name. The
+// profanity check runs on the name as typed and on its de-leeted forms, which catches 'sh1t' and 's_h_i_t'.
+
+const RULE_KINDS = ['blockedWord', 'bannedName', 'reservedName', 'ipBan', 'fingerprintBan'];
+const MAX_RULE_VALUE_LENGTH = 64;
+const MAX_RULE_REASON_LENGTH = 200;
+const MAX_RULE_MINUTES = 60 * 24 * 365;
+
+// '1' and '|' could stand for 'i' or 'l', so both readings are checked
+const LEET_LETTERS = { '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g', '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't' };
+const LEET_ALTERNATIVES = { '1': 'l', '|': 'l' };
+
+let profanityFilter = null; // bad-words Filter instance
+const wordsAddedToFilter = new Set(); // blockedWord values the filter did not already have, the only ones removeRule() takes out again
+let builtInReservedNames = new Set(); // Normalized
+const rules = new Map(); // kind -> Map(value -> rule)
+RULE_KINDS.forEach(kind => rules.set(kind, new Map()));
+
+function deLeet(text, letters = LEET_LETTERS) {
+    return text.toLowerCase().split('').map(character => letters[character] || character).join('');
+}
+
+function normalizeName(name) {
+    return deLeet(String(name)).replace(/[^a-z]/g, '');
+}
+
+// '::ffff:10.0.0.1' (IPv4 over an IPv6 socket) and '10.0.0.1' are the same address
+function normalizeIp(ip) {
+    const address = String(ip || '').trim().toLowerCase();
+    return address.startsWith('::ffff:') ? address.slice('::ffff:'.length) : address;
+}
+
+// Forms of a name the profanity filter looks at: as typed, de-leeted with separators as spaces,
+// and de-leeted with separators dropped. Each de-leeted form also with the LEET_ALTERNATIVES reading.
+function getTextVariants(text) {
+    const alternativeLetters = { ...LEET_LETTERS, ...LEET_ALTERNATIVES };
+    const variants = new Set([String(text).toLowerCase()]);
+    [LEET_LETTERS, alternativeLetters].forEach(letters => {
+        const spaced = deLeet(String(text), letters).replace(/[^a-z]+/g, ' ').trim();
+        variants.add(spaced);
+        variants.add(spaced.replace(/ /g, ''));
+    });
+    return [...variants].filter(variant => variant.length > 0);
+}
+
+function isExpired(rule, now = Date.now()) {
+    return !!rule.expiresAt && new Date(rule.expiresAt).getTime() <= now;
+}
+
+function getActiveRule(kind, value) {
+    const rule = rules.get(kind).get(value);
+    return rule && !isExpired(rule) ? rule : null;
+}
+
+// removeWords() only puts a word on the filter's exclude list, addWords() takes it off again
+function isWordFiltered(word) {
+    return profanityFilter.list.includes(word) && !(profanityFilter.exclude || []).includes(word);
+}
+
+function addWordToFilter(word) {
+    if (!profanityFilter || isWordFiltered(word)) return;
+    profanityFilter.addWords(word);
+    wordsAddedToFilter.add(word);
+}
+
+function removeWordFromFilter(word) {
+    if (!profanityFilter || !wordsAddedToFilter.has(word)) return;
+    profanityFilter.removeWords(word);
+    wordsAddedToFilter.delete(word);
+}
+
+// filter: the bad-words Filter; reservedNames: names the server itself uses, e.g. the AI's
+function configureModeration({ filter, reservedNames = [] }) {
+    profanityFilter = filter;
+    builtInReservedNames = new Set(reservedNames.map(normalizeName));
+    rules.get('blockedWord').forEach(rule => addWordToFilter(rule.value));
+}
+
+// The stored value of a rule: how names, words and addresses are compared
+function normalizeRuleValue(kind, value) {
+    if (kind === 'bannedName' || kind === 'reservedName') return normalizeName(value);
+    if (kind === 'blockedWord') return value.trim().toLowerCase();
+    if (kind === 'ipBan') return normalizeIp(value);
+    return value.trim();
+}
+
+// input: { kind, value, reason, expiresInMinutes } from an admin request. Returns { rule } or
+// { error }, like engine.resolveRules().
+function resolveRule(input) {
+    if (!input || typeof input !== 'object') return { error: 'Rule must be an object.' };
+    const { kind, value, reason, expiresInMinutes } = input;
+    if (!RULE_KINDS.includes(kind)) return { error: `Unknown rule kind "${kind}". Choose one of: ${RULE_KINDS.join(', ')}.` };
+    if (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_RULE_VALUE_LENGTH) {
+        return { error: `Value must be 1-${MAX_RULE_VALUE_LENGTH} characters.` };
+    }
+    const normalizedValue = normalizeRuleValue(kind, value);
+    if (normalizedValue.length === 0) return { error: 'Value has no letters left to match once normalized.' };
+    if (kind === 'blockedWord' && !/^[a-z0-9 ]+$/.test(normalizedValue)) return { error: 'Blocked words may only use letters, digits and spaces.' };
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_RULE_REASON_LENGTH)) {
+        return { error: `Reason must be text of at most ${MAX_RULE_REASON_LENGTH} characters.` };
+    }
+    let expiresAt = null;
+    if (expiresInMinutes !== undefined && expiresInMinutes !== null) {
+        const minutes = Number(expiresInMinutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_RULE_MINUTES) {
+            return { error: `expiresInMinutes must be an integer between 1 and ${MAX_RULE_MINUTES}.` };
+        }
+        expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    }
+    return { rule: { kind, value: normalizedValue, reason: reason || '', expiresAt } };
+}
+
+// Adds (or replaces) a rule that is already resolved, e.g. one loaded from the database.
+function addRule(rule) {
+    if (!RULE_KINDS.includes(rule.kind)) return false;
+    const { kind, value, reason = '', expiresAt = null } = rule;
+    rules.get(kind).set(value, { kind, value, reason, expiresAt });
+    if (kind === 'blockedWord') addWordToFilter(value);
+    return true;
+}
+
+// value is normalized the same way resolveRule() does. Returns the removed rule, or null.
+function removeRule(kind, value) {
+    if (!RULE_KINDS.includes(kind) || typeof value !== 'string') return null;
+    const normalizedValue = normalizeRuleValue(kind, value);
+    const rule = rules.get(kind).get(normalizedValue);
+    if (!rule) return null;
+    rules.get(kind).delete(normalizedValue);
+    if (kind === 'blockedWord') removeWordFromFilter(normalizedValue);
+    return rule;
+}
+
+// Replaces every rule, see addRule()
+function loadRules(ruleList) {
+    rules.get('blockedWord').forEach(rule => removeWordFromFilter(rule.value));
+    rules.forEach(kindRules => kindRules.clear());
+    ruleList.forEach(addRule);
+}
+
+// { kind: [rules] } without expired rules, plus the built-in reserved names (normalized)
+function listRules() {
+    const listed = { builtInReservedNames: [...builtInReservedNames] };
+    RULE_KINDS.forEach(kind => {
+        listed[kind] = [...rules.get(kind).values()].filter(rule => !isExpired(rule));
+    });
+    return listed;
+}
+
+function isProfane(text) {
+    if (!profanityFilter) throw new Error('Profanity filter is not configured.');
+    return getTextVariants(text).some(variant => profanityFilter.isProfane(variant));
+}
+
+// Rejection message for a player name or username, or null. Format checks are up to the caller.
+function getNameModerationError(name) {
+    const normalized = normalizeName(name);
+    if (builtInReservedNames.has(normalized) || getActiveRule('reservedName', normalized)) {
+        return `Name "${name}" is reserved.`;
+    }
+    if (getActiveRule('bannedName', normalized)) {
+        return `Name "${name}" is not allowed.`;
+    }
+    if (isProfane(name)) {
+        return 'Name contains inappropriate language.';
+    }
+    return null;
+}
+
+// The active ban for a connection: an ipBan on its address or a fingerprintBan on its fingerprint.
+function findBan({ ip = null, fingerprint = null }) {
+    return (ip && getActiveRule('ipBan', normalizeIp(ip))) ||
+        (typeof fingerprint === 'string' && fingerprint && getActiveRule('fingerprintBan', fingerprint.trim())) ||
+        null;
+}
+
+module.exports = {
+    RULE_KINDS,
+    normalizeName,
+    normalizeIp,
+    normalizeRuleValue,
+    configureModeration,
+    resolveRule,
+    addRule,
+    removeRule,
+    loadRules,
+    listRules,
+    isProfane,
+    getNameModerationError,
+    findBan
+};
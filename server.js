@@ -6,8 +6,16 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { start } = require('repl');
+const engine = require('./engine');
+const ai = require('./ai');
+const bots = require('./bots');
+const tournament = require('./tournament');
+const achievements = require('./achievements');
+const { createDelta } = require('./delta');
+const moderation = require('./moderation');
 // bad-words will be imported dynamically
 
 const app = express();
@@ -19,31 +27,93 @@ const MONGODB_URI = process.env.MONGODB_URI;
 
 
 // --- Game Constants ---
-const GRID_SIZE = 20;
-const TICK_RATE = 150;
-const MIN_SNAKE_LENGTH = 2;
-const DEBUFF_TRIGGER_COUNT = 3;
-const DEBUFF_SHRINK_AMOUNT = 2;
-const COUNTDOWN_SECONDS = 3;
+// Grid size, tick rate, countdown and debuff tuning are per-match rule sets, see engine.RULE_PRESETS.
+const { MAX_SEED, DEFAULT_RULES, createNewBoardState } = engine;
+const MAX_REPLAY_FRAMES = 4000; // ~10 minutes at the classic tick rate
+// Frames are full board snapshots, so on a large grid with long snakes the byte size runs out before
+// MAX_REPLAY_FRAMES does. Counted as JSON, which leaves headroom for BSON overhead and the inputs under
+// MongoDB's 16MB document limit.
+const MAX_REPLAY_BYTES = 12 * 1024 * 1024;
+
+// Rules for public (joinGame) matches; lobby and AI game creators pick their own.
+// DEFAULT_RULE_PRESET names a preset from engine.RULE_PRESETS, e.g. 'blitz' for a fast-paced event.
+const PUBLIC_MATCH_RULES = (() => {
+    if (!process.env.DEFAULT_RULE_PRESET) return { ...DEFAULT_RULES };
+    const { rules, error } = engine.resolveRules({ preset: process.env.DEFAULT_RULE_PRESET });
+    if (error) {
+        console.warn(`Ignoring DEFAULT_RULE_PRESET: ${error}`);
+        return { ...DEFAULT_RULES };
+    }
+    return rules;
+})();
+
+const MAX_MATCHES = parseInt(process.env.MAX_MATCHES, 10) || 50; // Upper bound on concurrently hosted matches
+// How seats are handed to queued players when a public match ends: the winner keeps their seat
+// ('winner-stays-on', draws rotate both) or both players go to the back of the queue ('both-rotate').
+const MATCH_ROTATION_MODE = process.env.MATCH_ROTATION_MODE === 'both-rotate' ? 'both-rotate' : 'winner-stays-on';
+const ROTATION_DELAY_MS = 4000; // Time for players to see the gameOver screen before seats rotate
+const MAX_PAUSES_PER_GAME = 2; // Pauses each player may call per game, so pausing cannot be used to stall
+const MAX_PAUSE_MS = 60000; // A pause nobody ends is resumed automatically after this long
+// How long a player who drops mid-game keeps their seat before the game is forfeited; 0 forfeits right away
+const RECONNECT_GRACE_MS = process.env.RECONNECT_GRACE_MS !== undefined ? parseInt(process.env.RECONNECT_GRACE_MS, 10) || 0 : 15000;
+const LOBBY_CODE_LENGTH = 6;
+const LOBBY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, codes get read out loud
 
 // --- AI Player Configuration ---
 const AI_PLAYER_NAME = "AI Snake";
+const AI_SOCKET_ID_PREFIX = 'ai_socket_'; // Each AI game gets its own pseudo socket id: ai_socket_<matchId>
 // AI_JOIN_TIMEOUT is removed ---
 
+// --- Moderation Configuration ---
+// Names no human can take, on top of the reservedName rules admins add (see moderation.js).
+// 'Player 1'/'Player 2' are what empty seats are called.
+const RESERVED_PLAYER_NAMES = [AI_PLAYER_NAME, 'Player 1', 'Player 2', 'Admin', 'Moderator', 'Server', 'System'];
+
+// --- Player Account Configuration ---
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Session tokens last 30 days
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const PASSWORD_KEY_LENGTH = 64; // scrypt output bytes
+
+// --- Rating Configuration ---
+const DEFAULT_RATING = 1500;
+const ELO_K_FACTOR = 32; // Most a single game can move a rating
+
+// --- Admin Configuration ---
+// Admin endpoints (/api/admin/...) need an 'x-admin-token' header matching ADMIN_TOKEN; without ADMIN_TOKEN they are off.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// --- Input Configuration ---
+const INPUT_QUEUE_LENGTH = 3; // Turns buffered per player; engine.step() applies one per tick
+const INPUT_RATE_WINDOW_MS = 1000;
+const INPUT_RATE_LIMIT = 20; // directionChange events per socket per window, about twice what a fast human manages
+const INPUT_STRIKES_BEFORE_KICK = 5; // Rate-limited windows plus malformed payloads before the socket is disconnected
+const INPUT_STRIKE_EXPIRY_MS = 60000; // Strikes are forgotten after this long without a new one
+const RESYNC_MIN_INTERVAL_MS = 500; // requestResync answers at most this often per socket
+
+// --- Latency Configuration ---
+const LATENCY_PING_INTERVAL_MS = 2000; // Seated players are pinged this often to measure their round-trip time
+const LATENCY_PING_TIMEOUT_MS = 5000;
+// Late turns stamped with an older tick are applied at that tick, see applyLateInput(). LAG_COMPENSATION=off turns it off.
+const LAG_COMPENSATION_ENABLED = process.env.LAG_COMPENSATION !== 'off';
+const MAX_LAG_COMPENSATION_TICKS = 4; // ~600ms at the classic tick rate
+
 // --- Game State Variables ---
-let players = {}; // { socketId: { playerId, name, color, socketId, isAi (optional) } }
-let boards = { 1: null, 2: null };
-let playerSockets = { 1: null, 2: null }; // Map playerId to socketId
-
-let gameInterval = null;
-let countdownInterval = null;
-let currentCountdown = COUNTDOWN_SECONDS;
-let gameActuallyRunning = false;
-let restartRequests = new Set();
+let players = {}; // { socketId: { playerId, name, color, headStyle, socketId, matchId, accountId, resumeToken, rttMs, isAi (optional) } }
+let matches = {}; // { matchId: match } - see createMatch() for the shape of a match
+let nextMatchId = 1;
+let lobbies = {}; // { lobbyCode: matchId } for private matches
+let spectators = {}; // { socketId: matchId } for read-only viewers
+let matchmakingQueue = []; // FIFO of { socketId, name } waiting for a seat when every room is busy
+let heldSeats = {}; // { resumeToken: { socketId, timeout } } seats of players who may still reconnect, see holdSeatForReconnect()
+let replayPlaybacks = {}; // { socketId: intervalId } for sockets currently watching a replay
+let tournamentRuns = {}; // { tournamentId: { id, status: 'running' | 'finished' | 'failed', request, results, error } }
+let runningTournamentId = null; // One tournament at a time, they are CPU bound
 // aiJoinTimer is removed
 
 // ****** NEW: For unique active player name tracking ******
 let activePlayerNames = new Set(); // Stores lowercase names of currently connected and playing users
+let registeredPlayerNames = new Set(); // Lowercase usernames of registered accounts; guests cannot play under them
 
 // --- Mongoose Setup ---
 mongoose.connect(MONGODB_URI, {
@@ -61,74 +131,973 @@ const scoreSchema = new mongoose.Schema({
     // which is NOT what we want if we are to pick the highest.
     // We will handle "highest score per player" in the API query.
     playerName: { type: String, required: true, trim: true, minlength: 2, maxlength: 15, index: true }, // Index for faster queries
+    player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', default: null, index: true }, // null for guest scores
     score: { type: Number, required: true, min: 0 },
+    mode: { type: String, enum: ['human', 'ai'], default: 'human' }, // Opponent was a human or the AI
+    rulePreset: { type: String, default: 'classic' }, // engine.getRulePresetName() of the match rules
     timestamp: { type: Date, default: Date.now }
 });
+// Every finished game stores a score, so time-windowed boards see the best score within the window
+scoreSchema.index({ timestamp: -1, score: -1 });
 const Score = mongoose.model('Score', scoreSchema);
 
-// --- Utility Functions ---
-function createNewBoardState(playerId, playerNameFromArg) {
-    const playerName = playerNameFromArg || `Player ${playerId}`;
-    const startX = Math.floor(GRID_SIZE / 4) + (playerId === 1 ? 0 : Math.floor(GRID_SIZE / 2.5)); // slightly different start for P2
-    const startY = Math.floor(GRID_SIZE / 2);
-    const startColor = playerId === 1 ? 'green' : 'blue';
-    const initialSnake = [{ x: startX, y: startY }, { x: startX - 1, y: startY }];
-    return {
-        playerId: playerId,
-        snake: initialSnake,
-        direction: 'right',
-        dx: 1, // Initial dx
-        dy: 0,  // Initial dy
-        color: startColor,
-        score: 0,
-        food: getRandomPosition(initialSnake),
-        debuffs: [],
-        powerups: [],
-        foodEatenCounter: 0,
-        isGameOver: false,
-        playerName: playerName
-    };
+// Registered accounts. Guests never get a Player document.
+const playerSchema = new mongoose.Schema({
+    username: { type: String, required: true, trim: true, minlength: 2, maxlength: 15 },
+    usernameLower: { type: String, required: true, unique: true }, // Names are unique case-insensitively, like activePlayerNames
+    passwordHash: { type: String, required: true }, // scrypt$<salt hex>$<key hex>, see hashPassword()
+    gamesPlayed: { type: Number, default: 0 },
+    bestScore: { type: Number, default: 0 },
+    rating: { type: Number, default: DEFAULT_RATING, index: true }, // Elo, see recordMatchResult()
+    wins: { type: Number, default: 0 }, // Rated games only
+    losses: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    achievements: [{ _id: false, achievementId: String, unlockedAt: Date }], // See achievements.js; unlocks cosmetics
+    lastLoginAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+const Player = mongoose.model('Player', playerSchema);
+
+const sessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true }, // sha256 of the token; only the client ever holds the token
+    player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', required: true, index: true },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } } // TTL index, MongoDB drops expired sessions
+});
+const Session = mongoose.model('Session', sessionSchema);
+
+// One document per finished game, against a human or the AI
+const matchSchema = new mongoose.Schema({
+    matchId: String, // Room id, shared by every game played in that room
+    players: [{
+        _id: false,
+        playerId: Number,
+        name: String,
+        player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', default: null }, // null for guests and the AI
+        isAi: { type: Boolean, default: false },
+        score: Number,
+        length: Number, // Snake length when the game ended
+        longestLength: Number,
+        foodEaten: { type: Number, default: 0 },
+        debuffsSent: { type: Number, default: 0 },
+        debuffsReceived: { type: Number, default: 0 }, // Debuffs this snake ran into
+        deathReason: { type: String, default: null }, // Engine collision reason or 'opponentLeft'; null if it survived
+        ratingBefore: { type: Number, default: null }, // Only set for rated games
+        ratingAfter: { type: Number, default: null }
+    }],
+    vsAi: { type: Boolean, default: false, index: true },
+    aiBot: { type: String, default: null }, // Bot that played Player 2 in an AI game, see bots.js
+    winnerName: { type: String, default: null }, // Both null for a draw
+    loserName: { type: String, default: null },
+    // How the game ended: the loser's collision reason ('wallCollision', 'selfCollision', 'headOnCollision',
+    // 'bodyCollision'), 'draw', or 'opponentLeft' (the leaver loses)
+    reason: { type: String, index: true },
+    rated: { type: Boolean, default: false }, // Ratings only move when both players are registered
+    rulePreset: String, // engine.getRulePresetName() of the match rules
+    seed: Number,
+    durationTicks: Number,
+    startedAt: Date,
+    timestamp: { type: Date, default: Date.now, index: true } // When the game ended
+});
+matchSchema.index({ 'players.name': 1 });
+matchSchema.index({ 'players.player': 1 });
+const Match = mongoose.model('Match', matchSchema);
+
+const replaySchema = new mongoose.Schema({
+    matchId: { type: String, required: true },
+    players: [{
+        _id: false,
+        playerId: Number,
+        name: { type: String, index: true },
+        color: String,
+        headStyle: String,
+        isAi: Boolean
+    }],
+    winnerId: { type: Number, min: 0, max: 2 }, // 0 = draw
+    reason: String,
+    rules: mongoose.Schema.Types.Mixed, // Rule set the match was played with, see engine.resolveRules()
+    gridSize: Number,
+    tickRate: Number,
+    tickCount: Number,
+    seed: Number, // Seed that drove food/debuff/power-up placement, see engine.createRngStates()
+    sameSeed: Boolean,
+    // One entry per tick: { tick, boards: { 1: { snake, food, debuffs, powerups, activeEffects, score, direction, isGameOver }, 2: {...} } }
+    frames: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // Every applied direction change, stamped with the tick in which the engine applied it
+    inputs: [{ _id: false, tick: Number, playerId: Number, direction: String }],
+    truncated: { type: Boolean, default: false }, // True if the match outlasted MAX_REPLAY_FRAMES or MAX_REPLAY_BYTES
+    startedAt: Date,
+    timestamp: { type: Date, default: Date.now, index: true }
+});
+const Replay = mongoose.model('Replay', replaySchema);
+
+// Blocked words, banned and reserved names and IP/fingerprint bans, see moderation.js.
+// value is stored normalized (moderation.resolveRule()), so { kind, value } is unique.
+const moderationRuleSchema = new mongoose.Schema({
+    kind: { type: String, enum: moderation.RULE_KINDS, required: true },
+    value: { type: String, required: true },
+    reason: { type: String, default: '' },
+    expiresAt: { type: Date, default: null, index: { expires: 0 } }, // TTL index; null never expires
+    createdAt: { type: Date, default: Date.now }
+});
+moderationRuleSchema.index({ kind: 1, value: 1 }, { unique: true });
+const ModerationRule = mongoose.model('ModerationRule', moderationRuleSchema);
+
+// --- Seed Options ---
+// Reads the optional { seed, sameSeed } options of createLobby/requestAiGame.
+// Returns null if the seed is present but not a 32-bit unsigned integer.
+function parseSeedOptions(data) {
+    const sameSeed = !!(data && data.sameSeed);
+    if (!data || data.seed === undefined || data.seed === null || data.seed === '') {
+        return { seed: null, sameSeed };
+    }
+    const seed = Number(data.seed);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) return null;
+    return { seed, sameSeed };
 }
 
-function resetBoardStatesOnly(keepNames = false) { // Added keepNames parameter
-    console.log("Resetting game board states.");
+// --- Utility Functions ---
+function resetBoardStatesOnly(match, keepNames = false) { // Added keepNames parameter
+    console.log(`[${match.id}] Resetting game board states.`);
+    const { playerSockets } = match;
     const p1Name = (keepNames && playerSockets[1] && players[playerSockets[1]]) ? players[playerSockets[1]].name : `Player 1`;
     const p2Name = (keepNames && playerSockets[2] && players[playerSockets[2]]) ? players[playerSockets[2]].name : `Player 2`;
 
-    boards[1] = createNewBoardState(1, p1Name);
-    boards[2] = createNewBoardState(2, p2Name);
-    gameActuallyRunning = false;
+    prepareNextSeed(match);
+    const initialState = engine.createInitialState(match.seed, match.sameSeed, { 1: p1Name, 2: p2Name }, match.rules);
+    match.boards = initialState.boards;
+    match.arena = initialState.arena;
+    match.rngStates = initialState.rngStates;
+    match.inputQueues = { 1: [], 2: [] };
+    match.gameActuallyRunning = false;
+    const { boards } = match;
 
     if (playerSockets[1] && players[playerSockets[1]]) {
         boards[1].color = players[playerSockets[1]].color;
+        boards[1].headStyle = players[playerSockets[1]].headStyle;
     }
     if (playerSockets[2] && players[playerSockets[2]]) {
         boards[2].color = players[playerSockets[2]].color;
+        boards[2].headStyle = players[playerSockets[2]].headStyle;
+    }
+    // No need to generate food here, engine.createInitialState does it.
+}
+
+// A seed is drawn once per game: it is announced in 'init' before the game and only replaced
+// after a game has been played with it. A client-chosen seed is reused for every game.
+function prepareNextSeed(match) {
+    if (match.seed === null || match.seedPlayed) {
+        match.seed = match.fixedSeed !== null ? match.fixedSeed : engine.generateSeed();
+        match.seedPlayed = false;
+    }
+}
+
+function clearAllIntervalsAndRequests(match) {
+    if (match.gameInterval) { clearInterval(match.gameInterval); match.gameInterval = null; }
+    if (match.countdownInterval) { clearInterval(match.countdownInterval); match.countdownInterval = null; }
+    if (match.rotationTimeout) { clearTimeout(match.rotationTimeout); match.rotationTimeout = null; }
+    if (match.pauseTimeout) { clearTimeout(match.pauseTimeout); match.pauseTimeout = null; }
+    match.restartRequests.clear();
+    match.pauseRequests.clear();
+    match.resumeRequests.clear();
+    match.paused = false;
+    match.gameActuallyRunning = false;
+}
+
+// --- Match (Room) Management ---
+// Every match owns its boards, slots, intervals and restart state. The match id doubles as
+// the Socket.IO room name, so per-match broadcasts only reach that match's participants.
+function createMatch(rules = PUBLIC_MATCH_RULES) {
+    const matchId = `match_${nextMatchId++}`;
+    const match = {
+        id: matchId,
+        rules: { ...rules }, // Rule set for every game in this match, see engine.resolveRules()
+        boards: { 1: null, 2: null },
+        playerSockets: { 1: null, 2: null }, // Map playerId to socketId
+        gameInterval: null,
+        countdownInterval: null,
+        currentCountdown: rules.countdownSeconds,
+        gameActuallyRunning: false,
+        restartRequests: new Set(),
+        paused: false, // Tick loop stopped by requestPause; gameActuallyRunning stays true
+        pauseRequests: new Set(), // playerIds asking to pause, see requestPause
+        resumeRequests: new Set(), // playerIds asking to resume a paused game
+        pausesUsed: { 1: 0, 2: 0 }, // Pauses called by each player in the current game
+        pauseTimeout: null, // Ends a pause after MAX_PAUSE_MS
+        lobbyCode: null, // Set for private lobbies, which are never handed out by findOpenMatch
+        spectators: new Set(), // Socket ids watching this match read-only
+        rotationTimeout: null, // Pending hand-over of seats to queued players after a game ends
+        fixedSeed: null, // Client-chosen seed used for every game in this match, or null for a fresh seed per game
+        sameSeed: false, // Both boards draw identical food/debuff sequences
+        seed: null, // Seed of the current (or upcoming) game, set by resetBoardStatesOnly()
+        seedPlayed: false, // True once a game has started with the current seed
+        aiBotName: null, // Set while Player 2 is the AI: a built-in difficulty or a bots/ bot, see bots.js
+        aiController: null, // Fresh bots.createBotController() for every game
+        arena: null, // Shared food/debuffs/power-ups when rules.mode is 'shared', see engine.js
+        rngStates: null, // Engine random streams (food and debuffs per board), see engine.createRngStates()
+        inputQueues: { 1: [], 2: [] }, // Buffered turns per player, one handed to engine.step() per tick, see queuePlayerInput()
+        tick: 0, // Ticks processed in the current game
+        tickHistory: [], // { stateBefore, inputs, events } of the last few ticks, for applyLateInput()
+        stateSeq: 0, // Sequence number of the last gameState/gameDelta broadcast, see broadcastGameState()
+        lastGameState: null, // What clients were last sent, the base of the next delta
+        gameStats: null, // Per-player counters of the current game, see createGameStats()
+        replay: null // Recording of the current game, see startReplayRecording()
+    };
+    resetBoardStatesOnly(match);
+    matches[matchId] = match;
+    console.log(`Match ${matchId} created. Active matches: ${Object.keys(matches).length}`);
+    return match;
+}
+
+// Applies client-selected seed options (see parseSeedOptions) to a freshly created match.
+function applySeedOptions(match, seedOptions) {
+    match.fixedSeed = seedOptions.seed;
+    match.sameSeed = seedOptions.sameSeed;
+    if (seedOptions.seed !== null) match.seed = seedOptions.seed;
+}
+
+function destroyMatch(match) {
+    clearAllIntervalsAndRequests(match);
+    if (match.spectators.size > 0) {
+        io.to(match.id).emit('spectatedMatchClosed', { matchId: match.id });
+        match.spectators.forEach(socketId => {
+            delete spectators[socketId];
+            const spectatorSocket = io.sockets.sockets.get(socketId);
+            if (spectatorSocket) spectatorSocket.leave(match.id);
+        });
+        match.spectators.clear();
+    }
+    if (match.lobbyCode) delete lobbies[match.lobbyCode];
+    delete matches[match.id];
+    console.log(`Match ${match.id} closed. Active matches: ${Object.keys(matches).length}`);
+}
+
+// Board shown in an empty or just-vacated slot outside a game
+function createPlaceholderBoard(match, playerId, playerName) {
+    return createNewBoardState(playerId, playerName, Math.random, match.rules);
+}
+
+function getAiSocketId(match) {
+    return `${AI_SOCKET_ID_PREFIX}${match.id}`;
+}
+
+function isAiSocketId(socketId) {
+    return typeof socketId === 'string' && socketId.startsWith(AI_SOCKET_ID_PREFIX);
+}
+
+// Client-supplied ids go through here: 'constructor' and friends are not matches
+function getMatchById(matchId) {
+    return typeof matchId === 'string' && Object.prototype.hasOwnProperty.call(matches, matchId) ? matches[matchId] : null;
+}
+
+function getMatchForSocket(socketId) {
+    const playerInfo = players[socketId];
+    return playerInfo ? matches[playerInfo.matchId] || null : null;
+}
+
+function hasHumanPlayer(match) {
+    return [1, 2].some(id => match.playerSockets[id] && !isAiSocketId(match.playerSockets[id]));
+}
+
+// A human match with exactly one seated player that is not running or counting down
+function findOpenMatch() {
+    return Object.values(matches).find(match => {
+        const { playerSockets } = match;
+        if (match.lobbyCode || match.gameInterval || match.countdownInterval) return false;
+        if (isAiSocketId(playerSockets[1]) || isAiSocketId(playerSockets[2])) return false;
+        return !!playerSockets[1] !== !!playerSockets[2];
+    }) || null;
+}
+
+function findOrCreateOpenMatch() {
+    const openMatch = findOpenMatch();
+    if (openMatch) return openMatch;
+    if (Object.keys(matches).length >= MAX_MATCHES) return null;
+    return createMatch();
+}
+
+function generateLobbyCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < LOBBY_CODE_LENGTH; i++) {
+            code += LOBBY_CODE_ALPHABET[Math.floor(Math.random() * LOBBY_CODE_ALPHABET.length)];
+        }
+    } while (lobbies[code]);
+    return code;
+}
+
+function createLobbyMatch(rules) {
+    if (Object.keys(matches).length >= MAX_MATCHES) return null;
+    const match = createMatch(rules);
+    match.lobbyCode = generateLobbyCode();
+    lobbies[match.lobbyCode] = match.id;
+    return match;
+}
+
+function findLobbyMatch(code) {
+    if (typeof code !== 'string') return null;
+    const matchId = lobbies[code.trim().toUpperCase()];
+    return matchId ? matches[matchId] || null : null;
+}
+
+// Seats a validated player in an open public match (creating one if there is room) and starts
+// the countdown once both seats are filled. Returns false if every room is busy.
+// preferredMatch lets a rotating match keep its room (and its spectators) for the next pair.
+function placePlayerInOpenMatch(socket, playerName, preferredMatch = null) {
+    const match = hasFreeSeat(preferredMatch) ? preferredMatch : findOrCreateOpenMatch();
+    if (!match) return false;
+    const { playerSockets } = match;
+
+    let assignedPlayerId = null;
+    if (!playerSockets[1]) assignedPlayerId = 1;
+    else if (!playerSockets[2]) assignedPlayerId = 2;
+    else return false; // findOpenMatch only returns matches with a free slot
+
+    seatHumanPlayer(socket, match, assignedPlayerId, playerName, assignedPlayerId === 1 ? 'green' : 'blue'); // Default, can be customized
+    console.log(`Player ${assignedPlayerId} (${playerName}, ${socket.id}) joined ${match.id}.`);
+    exchangeOpponentNames(match, assignedPlayerId);
+
+    // Logic for 'joinGame' is now for two human players
+    if (playerSockets[1] && playerSockets[2]) {
+        console.log(`[${match.id}] Both human players are now in. Initiating game sequence.`);
+        initiateGameStartSequence(match);
+    } else { // First player in this room, waiting for an opponent
+        console.log(`Player ${playerName} (P${assignedPlayerId}) is waiting for a human opponent in ${match.id}.`);
+        socket.emit('waiting');
+        broadcastGameState(match);
+    }
+    return true;
+}
+
+// --- Matchmaking Queue ---
+// Players who arrive while every room is busy wait here. Their names stay in activePlayerNames
+// while queued, so nobody can take a name that is waiting for a seat.
+function getQueuePosition(socketId) {
+    return matchmakingQueue.findIndex(entry => entry.socketId === socketId) + 1; // 0 when not queued
+}
+
+function broadcastQueuePositions() {
+    matchmakingQueue.forEach((entry, index) => {
+        io.to(entry.socketId).emit('queuePositionUpdate', { position: index + 1, queueLength: matchmakingQueue.length });
+    });
+}
+
+function enqueuePlayer(socket, playerName) {
+    activePlayerNames.add(playerName.toLowerCase());
+    socket.playerName = playerName;
+    matchmakingQueue.push({ socketId: socket.id, name: playerName });
+    console.log(`Player ${playerName} (${socket.id}) queued at position ${matchmakingQueue.length}.`);
+    socket.emit('queued', { position: matchmakingQueue.length, queueLength: matchmakingQueue.length, rotationMode: MATCH_ROTATION_MODE });
+}
+
+// Removes a socket from the queue and releases its name. Returns true if it was queued.
+function leaveQueue(socketId) {
+    const index = matchmakingQueue.findIndex(entry => entry.socketId === socketId);
+    if (index === -1) return false;
+    const [entry] = matchmakingQueue.splice(index, 1);
+    activePlayerNames.delete(entry.name.toLowerCase());
+    console.log(`Player ${entry.name} (${socketId}) left the matchmaking queue.`);
+    broadcastQueuePositions();
+    return true;
+}
+
+// Hands open seats (or newly available rooms) to queued players, front of the queue first.
+function drainMatchmakingQueue(preferredMatch = null) {
+    let seatedAnyone = false;
+    while (matchmakingQueue.length > 0) {
+        const entry = matchmakingQueue[0];
+        const queuedSocket = io.sockets.sockets.get(entry.socketId);
+        if (!queuedSocket) { // Disconnected without us noticing; drop the stale entry
+            matchmakingQueue.shift();
+            activePlayerNames.delete(entry.name.toLowerCase());
+            continue;
+        }
+        if (!hasFreeSeat(preferredMatch) && !findOpenMatch() && Object.keys(matches).length >= MAX_MATCHES) break;
+        matchmakingQueue.shift();
+        placePlayerInOpenMatch(queuedSocket, entry.name, preferredMatch);
+        seatedAnyone = true;
+    }
+    if (seatedAnyone) broadcastQueuePositions();
+}
+
+function hasFreeSeat(match) {
+    return !!match && !!matches[match.id] && !match.gameInterval && !match.countdownInterval &&
+        (!match.playerSockets[1] || !match.playerSockets[2]);
+}
+
+function isPublicHumanMatch(match) {
+    const { playerSockets } = match;
+    return !match.lobbyCode && !isAiSocketId(playerSockets[1]) && !isAiSocketId(playerSockets[2]);
+}
+
+// Moves a seated player from their match to the back of the matchmaking queue.
+function requeueSeatedPlayer(match, playerId) {
+    const socketId = match.playerSockets[playerId];
+    const playerInfo = players[socketId];
+    match.playerSockets[playerId] = null;
+    match.boards[playerId] = createPlaceholderBoard(match, playerId, `Player ${playerId}`);
+    match.restartRequests.delete(playerId);
+    if (!playerInfo) return;
+    delete players[socketId];
+    const playerSocket = io.sockets.sockets.get(socketId);
+    if (!playerSocket) {
+        activePlayerNames.delete(playerInfo.name.toLowerCase());
+        return;
+    }
+    playerSocket.leave(match.id);
+    playerSocket.emit('rotatedOut', { matchId: match.id, rotationMode: MATCH_ROTATION_MODE });
+    enqueuePlayer(playerSocket, playerInfo.name);
+}
+
+// Frees seats of a finished public match for the queue. winnerId 0 means draw.
+function rotateMatchPlayers(match, winnerId) {
+    clearAllIntervalsAndRequests(match);
+    if (matchmakingQueue.length === 0 || !isPublicHumanMatch(match)) return;
+    const leavingIds = (MATCH_ROTATION_MODE === 'winner-stays-on' && (winnerId === 1 || winnerId === 2))
+        ? [winnerId === 1 ? 2 : 1]
+        : [1, 2];
+    console.log(`[${match.id}] Rotating seats (${MATCH_ROTATION_MODE}), players leaving: ${leavingIds.join(', ')}.`);
+    leavingIds.forEach(playerId => requeueSeatedPlayer(match, playerId));
+    drainMatchmakingQueue(match);
+    if (!hasHumanPlayer(match)) destroyMatch(match);
+}
+
+function scheduleMatchRotation(match, winnerId) {
+    if (matchmakingQueue.length === 0 || !isPublicHumanMatch(match)) return;
+    io.to(match.id).emit('rotationPending', { delayMs: ROTATION_DELAY_MS, rotationMode: MATCH_ROTATION_MODE, queueLength: matchmakingQueue.length });
+    match.rotationTimeout = setTimeout(() => {
+        match.rotationTimeout = null;
+        rotateMatchPlayers(match, winnerId);
+    }, ROTATION_DELAY_MS);
+}
+
+// Winner of the game on a match's boards (0 for a draw), or null if neither snake is out.
+function getFinishedGameWinnerId(match) {
+    const { boards } = match;
+    if (!boards[1]?.isGameOver && !boards[2]?.isGameOver) return null;
+    return boards[1]?.isGameOver ? (boards[2]?.isGameOver ? 0 : 2) : 1;
+}
+
+// A finished game only schedules a rotation if somebody was queued at the time. When the first
+// player queues later, a public match whose pair is still sitting on the gameOver screen rotates now.
+function rotateIdleFinishedMatch() {
+    const idleMatch = Object.values(matches).find(match =>
+        !match.rotationTimeout && !match.gameActuallyRunning && !match.countdownInterval &&
+        match.playerSockets[1] && match.playerSockets[2] && isPublicHumanMatch(match) &&
+        getFinishedGameWinnerId(match) !== null);
+    if (idleMatch) scheduleMatchRotation(idleMatch, getFinishedGameWinnerId(idleMatch));
+}
+
+// --- Spectators ---
+// Spectators join the match room, so they receive the same gameState/countdownUpdate/gameOver
+// broadcasts as the players, but they never get a 'players' entry and therefore no controls.
+function findSpectatableMatch(data) {
+    if (data && typeof data.code === 'string') return findLobbyMatch(data.code);
+    if (data && typeof data.matchId === 'string') {
+        const match = getMatchById(data.matchId);
+        return match && !match.lobbyCode ? match : null; // Private lobbies need their code
+    }
+    // No preference given: watch a public match that has both players seated
+    return Object.values(matches).find(match => !match.lobbyCode && match.playerSockets[1] && match.playerSockets[2]) || null;
+}
+
+function emitSpectatorCount(match) {
+    io.to(match.id).emit('spectatorCountUpdate', { matchId: match.id, count: match.spectators.size });
+}
+
+function stopSpectating(socket) {
+    const matchId = spectators[socket.id];
+    if (!matchId) return;
+    delete spectators[socket.id];
+    const match = matches[matchId];
+    if (!match) return;
+    match.spectators.delete(socket.id);
+    socket.leave(match.id);
+    console.log(`Spectator ${socket.id} stopped watching ${match.id}. Spectators: ${match.spectators.size}`);
+    emitSpectatorCount(match);
+}
+
+// --- Player Name Validation ---
+// Returns a rejection message for 'nameRejected', or null if the name can be used.
+// Format and language rules shared by player names and account usernames
+function getNameFormatError(playerName) {
+    if (!playerName || playerName.length < 2 || playerName.length > 15) {
+        return 'Name must be 2-15 characters.';
+    }
+    if (!/^[a-zA-Z0-9_-\s]+$/.test(playerName)) {
+        return 'Name contains invalid characters.';
+    }
+    try {
+        return moderation.getNameModerationError(playerName); // Reserved and banned names, profanity
+    } catch (e) {
+        return 'Error validating name. Try another.';
+    }
+}
+
+// account is socket.data.account (null for guests)
+function getPlayerNameError(playerName, account = null) {
+    const formatError = getNameFormatError(playerName);
+    if (formatError) return formatError;
+    if (!account && registeredPlayerNames.has(playerName.toLowerCase())) {
+        return `Name "${playerName}" belongs to a registered player. Log in to use it.`;
+    }
+    // ****** UNIQUE ACTIVE NAME CHECK ******
+    if (activePlayerNames.has(playerName.toLowerCase())) {
+        return `Name "${playerName}" is currently in use. Please choose another.`;
+    }
+    return null;
+}
+
+// Registered players always play under their username; guests send the name they want in data.name.
+// Returns null when the request carries no usable name.
+function getRequestedPlayerName(socket, data) {
+    if (!data || typeof data !== 'object') return null;
+    if (socket.data.account) return socket.data.account.username;
+    return typeof data.name === 'string' ? data.name.trim() : null;
+}
+
+// --- Player Accounts ---
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16);
+        crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (err, key) => {
+            if (err) return reject(err);
+            resolve(`scrypt$${salt.toString('hex')}$${key.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, passwordHash) {
+    return new Promise((resolve, reject) => {
+        const [scheme, saltHex, keyHex] = String(passwordHash).split('$');
+        if (scheme !== 'scrypt' || !saltHex || !keyHex) return resolve(false);
+        crypto.scrypt(password, Buffer.from(saltHex, 'hex'), PASSWORD_KEY_LENGTH, (err, key) => {
+            if (err) return reject(err);
+            resolve(crypto.timingSafeEqual(key, Buffer.from(keyHex, 'hex')));
+        });
+    });
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createSession(player) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await new Session({ tokenHash: hashSessionToken(token), player: player._id, expiresAt }).save();
+    return { token, expiresAt };
+}
+
+// Resolves a session token to its Player, or null if it is unknown or expired.
+async function findPlayerBySessionToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+    const session = await Session.findOne({ tokenHash: hashSessionToken(token) }).lean().exec();
+    if (!session || new Date(session.expiresAt) <= new Date()) return null;
+    return Player.findById(session.player).exec();
+}
+
+function getBearerToken(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+}
+
+function getPasswordError(password) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+        return `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters.`;
+    }
+    return null;
+}
+
+function toPlayerProfile(player) {
+    return {
+        id: String(player._id),
+        username: player.username,
+        gamesPlayed: player.gamesPlayed,
+        bestScore: player.bestScore,
+        achievements: (player.achievements || []).filter(({ achievementId }) => achievements.ACHIEVEMENTS[achievementId]).map(({ achievementId, unlockedAt }) => ({ ...achievements.describeAchievement(achievementId), unlockedAt })),
+        cosmetics: achievements.getUnlockedCosmetics(getAchievementIds(player)),
+        createdAt: player.createdAt
+    };
+}
+
+function getAchievementIds(player) {
+    return (player.achievements || []).map(achievement => achievement.achievementId).filter(id => achievements.ACHIEVEMENTS[id]);
+}
+
+// --- Cosmetics ---
+// Checks the optional { cosmetics: { color, headStyle } } of a join request against the achievements of
+// the socket's account (guests only get the free ones) and remembers the choice for seatHumanPlayer().
+// Emits 'cosmeticRejected' and returns false if something is not unlocked.
+function applyCosmeticChoice(socket, data) {
+    const unlockedIds = socket.data.account ? socket.data.account.achievements : [];
+    const { cosmetics, error } = achievements.resolveCosmetics(data && data.cosmetics, unlockedIds);
+    if (error) {
+        socket.emit('cosmeticRejected', { message: error });
+        return false;
+    }
+    socket.data.cosmetics = cosmetics;
+    return true;
+}
+
+// The chosen color, unless the opponent already wears it; then the seat default, or whichever free one is left.
+function chooseSeatColor(match, playerId, requestedColor, seatColor) {
+    const opponentInfo = players[match.playerSockets[playerId === 1 ? 2 : 1]];
+    const takenColor = opponentInfo ? opponentInfo.color : null;
+    return [requestedColor, seatColor, 'green', 'blue'].find(color => color && color !== takenColor);
+}
+
+// --- Seating Players ---
+// Puts a human socket into a slot of the given match and sends it 'init'.
+// seatColor is the slot's default color, used when the player did not pick one.
+function seatHumanPlayer(socket, match, playerId, playerName, seatColor) {
+    stopSpectating(socket); // A viewer who decides to play gives up their spectator seat
+    const cosmetics = socket.data.cosmetics || { color: null, headStyle: achievements.DEFAULT_HEAD_STYLE };
+    const color = chooseSeatColor(match, playerId, cosmetics.color, seatColor);
+    match.playerSockets[playerId] = socket.id;
+    players[socket.id] = {
+        playerId: playerId,
+        color: color,
+        headStyle: cosmetics.headStyle,
+        name: playerName,
+        socketId: socket.id,
+        matchId: match.id,
+        accountId: socket.data.account ? socket.data.account.id : null, // null for guests
+        resumeToken: createResumeToken(), // Sent in 'init', see holdSeatForReconnect()
+        isAi: false
+    };
+    activePlayerNames.add(playerName.toLowerCase()); // Add to active names
+    socket.playerName = playerName; // Store on socket for easy access on disconnect
+    socket.join(match.id);
+
+    // Initialize or update board for this player
+    match.boards[playerId] = createPlaceholderBoard(match, playerId, playerName);
+    match.boards[playerId].color = color; // Ensure color matches
+    match.boards[playerId].headStyle = cosmetics.headStyle;
+
+    prepareNextSeed(match); // So 'init' announces the seed of the game this player is about to play
+    socket.emit('init', buildInitPayload(match, playerId, playerName));
+    if (match.spectators.size > 0) socket.emit('spectatorCountUpdate', { matchId: match.id, count: match.spectators.size });
+}
+
+function buildInitPayload(match, playerId, playerName) {
+    return {
+        yourPlayerId: playerId,
+        gridSize: match.rules.gridSize,
+        cellSize: match.rules.cellSize,
+        yourName: playerName,
+        matchId: match.id,
+        seed: match.seed,
+        sameSeed: match.sameSeed,
+        rules: match.rules,
+        resumeToken: players[match.playerSockets[playerId]]?.resumeToken || null
+    };
+}
+
+// Tells a newly seated player and their existing opponent (if any) about each other.
+function exchangeOpponentNames(match, playerId) {
+    const { playerSockets } = match;
+    const opponentId = playerId === 1 ? 2 : 1;
+    const playerInfo = players[playerSockets[playerId]];
+    const opponentInfo = players[playerSockets[opponentId]];
+    if (!playerInfo || !opponentInfo) return;
+    if (!opponentInfo.isAi) {
+        // Notify existing opponent about the new player
+        io.to(opponentInfo.socketId).emit('opponentNameUpdate', {
+            playerId: playerId,
+            name: playerInfo.name,
+            isAi: !!playerInfo.isAi
+        });
+    }
+    // Notify new player about the existing opponent
+    io.to(playerInfo.socketId).emit('opponentNameUpdate', {
+        playerId: opponentId,
+        name: opponentInfo.name,
+        isAi: !!opponentInfo.isAi // Send isAi status of the existing opponent
+    });
+}
+
+// --- Input Handling ---
+// Returns { direction, tick } (tick null when the client did not send one), or null for a malformed payload.
+function parseDirectionInput(payload) {
+    if (engine.isValidDirection(payload)) return { direction: payload, tick: null };
+    if (!payload || typeof payload !== 'object' || !engine.isValidDirection(payload.direction)) return null;
+    if (payload.tick === undefined || payload.tick === null) return { direction: payload.direction, tick: null };
+    if (!Number.isInteger(payload.tick) || payload.tick < 0) return null;
+    return { direction: payload.direction, tick: payload.tick };
+}
+
+// Each turn is checked against the turn queued before it (or the snake's direction if none is), so
+// "up, left" while moving right becomes two turns on consecutive ticks instead of a reversal.
+// Returns false if the turn was dropped.
+function queuePlayerInput(match, playerId, direction) {
+    const queue = match.inputQueues[playerId];
+    const previousDirection = queue.length > 0 ? queue[queue.length - 1] : match.boards[playerId].direction;
+    if (direction === previousDirection || engine.isReverseDirection(previousDirection, direction)) return false;
+    if (queue.length >= INPUT_QUEUE_LENGTH) return false; // Older turns win; the newest is dropped
+    queue.push(direction);
+    return true;
+}
+
+// Counts directionChange events per socket in fixed windows. The first event over INPUT_RATE_LIMIT
+// in a window is a strike; everything over the limit is dropped until the window ends.
+function checkInputRate(socket) {
+    const now = Date.now();
+    const guard = socket.data.inputGuard || (socket.data.inputGuard = { windowStart: now, count: 0, strikes: 0, lastStrikeAt: 0 });
+    if (now - guard.windowStart >= INPUT_RATE_WINDOW_MS) {
+        guard.windowStart = now;
+        guard.count = 0;
+    }
+    guard.count++;
+    if (guard.count <= INPUT_RATE_LIMIT) return true;
+    if (guard.count === INPUT_RATE_LIMIT + 1) addInputStrike(socket, 'rateLimited');
+    return false;
+}
+
+// Flags a misbehaving client with 'inputRejected' and disconnects it after INPUT_STRIKES_BEFORE_KICK strikes,
+// counting only strikes less than INPUT_STRIKE_EXPIRY_MS apart.
+function addInputStrike(socket, reason) {
+    const now = Date.now();
+    const guard = socket.data.inputGuard || (socket.data.inputGuard = { windowStart: now, count: 0, strikes: 0, lastStrikeAt: 0 });
+    if (now - guard.lastStrikeAt >= INPUT_STRIKE_EXPIRY_MS) guard.strikes = 0;
+    guard.lastStrikeAt = now;
+    guard.strikes++;
+    const playerInfo = players[socket.id];
+    const label = playerInfo ? `${playerInfo.name} (${socket.id}) in ${playerInfo.matchId}` : socket.id;
+    console.warn(`Input strike ${guard.strikes}/${INPUT_STRIKES_BEFORE_KICK} for ${label}: ${reason}.`);
+    if (guard.strikes >= INPUT_STRIKES_BEFORE_KICK) {
+        kickSocket(socket, 'Too many invalid or excessive inputs.');
+        return;
+    }
+    socket.emit('inputRejected', { reason, strikes: guard.strikes, maxStrikes: INPUT_STRIKES_BEFORE_KICK });
+}
+
+// A kicked player's seat is not held for a reconnect: their game is forfeited right away.
+function kickSocket(socket, message) {
+    console.warn(`Kicking ${socket.id}${players[socket.id] ? ` (${players[socket.id].name})` : ''}: ${message}`);
+    socket.data.kicked = true;
+    socket.emit('kicked', { message });
+    socket.disconnect(true);
+}
+
+// --- Latency & Lag Compensation ---
+// Every seated player is pinged with 'latencyPing', which the client acknowledges right away; the
+// round-trip time is smoothed into players[socketId].rttMs and shown on their board in gameState.
+function measurePlayerLatencies() {
+    Object.values(players).forEach(playerInfo => {
+        if (playerInfo.isAi) return;
+        const socket = io.sockets.sockets.get(playerInfo.socketId);
+        if (!socket) return; // Seat held for a reconnect
+        const sentAt = Date.now();
+        socket.timeout(LATENCY_PING_TIMEOUT_MS).emit('latencyPing', { serverTime: sentAt }, (error) => {
+            if (error || players[socket.id] !== playerInfo) return; // No answer in time, or no longer seated
+            const rtt = Date.now() - sentAt;
+            playerInfo.rttMs = typeof playerInfo.rttMs === 'number' ? Math.round(playerInfo.rttMs * 0.7 + rtt * 0.3) : rtt;
+        });
+    });
+}
+
+// A turn that arrives late, made on a state up to MAX_LAG_COMPENSATION_TICKS old, is applied as if it
+// had arrived in time: the game is re-run from the tick the client saw, with the turn added and the
+// recorded inputs of every tick since. How far back a player can reach is capped by their measured
+// round-trip time, so a fast connection cannot stamp old ticks to take moves back.
+// Call before the tick's events are counted: statsBefore is what a re-run starts counting from.
+function rememberTick(match, stateBefore, inputs, events) {
+    if (!LAG_COMPENSATION_ENABLED) return;
+    match.tickHistory.push({ stateBefore, inputs, events, statsBefore: copyGameStats(match.gameStats) });
+    if (match.tickHistory.length > MAX_LAG_COMPENSATION_TICKS) match.tickHistory.shift();
+}
+
+function getLagCompensationTicks(match, playerInfo) {
+    if (!LAG_COMPENSATION_ENABLED || typeof playerInfo.rttMs !== 'number') return 0;
+    return Math.min(MAX_LAG_COMPENSATION_TICKS, Math.ceil(playerInfo.rttMs / match.rules.tickRate) + 1);
+}
+
+// Returns true if the turn was applied at seenTick. Returns false (and the caller queues the turn as
+// usual) if it is not late, too late, not a legal turn back then, or if the re-run would end the game.
+function applyLateInput(match, playerInfo, direction, seenTick) {
+    const { playerId } = playerInfo;
+    const ticksLate = match.tick - seenTick;
+    if (ticksLate <= 0 || ticksLate > getLagCompensationTicks(match, playerInfo)) return false;
+    if (match.inputQueues[playerId].length > 0) return false; // Queued turns were checked against the current direction
+    const startIndex = match.tickHistory.findIndex(entry => entry.stateBefore.tick === seenTick);
+    if (startIndex === -1) return false;
+    const history = match.tickHistory.slice(startIndex);
+    if (history[0].inputs[playerId]) return false; // The player already turned on that tick
+    const boardThen = history[0].stateBefore.boards[playerId];
+    if (!boardThen || direction === boardThen.direction || engine.isReverseDirection(boardThen.direction, direction)) return false;
+
+    const rerun = [];
+    let state = history[0].stateBefore;
+    for (let i = 0; i < history.length; i++) {
+        const inputs = i === 0 ? { ...history[i].inputs, [playerId]: direction } : history[i].inputs;
+        const result = engine.step(state, inputs);
+        if (result.events.some(event => event.type === 'gameOver')) return false;
+        rerun.push({ stateBefore: state, inputs, events: result.events, stateAfter: result.state });
+        state = result.state;
+    }
+
+    // Stats are counted again from the snapshot taken before seenTick. Clients only hear about events
+    // the re-run added (a sound for food eaten after all); events it took back cannot be unheard.
+    match.gameStats = copyGameStats(history[0].statsBefore);
+    if (match.replay && !match.replay.truncated) {
+        match.replay.frames.filter(frame => frame.tick > seenTick).forEach(frame => {
+            match.replay.frameBytes -= getReplayFrameBytes(frame);
+        });
+        match.replay.frames = match.replay.frames.filter(frame => frame.tick <= seenTick);
+        match.replay.inputs = match.replay.inputs.filter(replayInput => replayInput.tick <= seenTick);
+    }
+    const newHistory = rerun.map(({ stateBefore, inputs, events, stateAfter }, index) => {
+        const entry = { stateBefore, inputs, events, statsBefore: copyGameStats(match.gameStats) };
+        applyEngineState(match, stateAfter);
+        countGameStats(match, events, stateAfter.boards);
+        const notifiedEvents = new Set(history[index].events.map(event => JSON.stringify(event)));
+        notifyTickEvents(match, events.filter(event => !notifiedEvents.has(JSON.stringify(event))));
+        events.forEach(event => {
+            if (event.type === 'directionChanged') recordReplayInput(match, event.playerId, event.direction);
+        });
+        recordReplayFrame(match);
+        return entry;
+    });
+    match.tickHistory.splice(startIndex, history.length, ...newHistory);
+    return true; // The next gameDelta carries the corrected boards
+}
+
+// --- Disconnects & Reconnects ---
+// Frees the seat of a player who left for good: the game in progress is forfeited ('opponentLeft'),
+// an AI game and its room go away, and the seat goes to the matchmaking queue.
+function handlePlayerDeparture(socketId) {
+    const disconnectedPlayerInfo = players[socketId];
+    if (!disconnectedPlayerInfo) return;
+    const { playerId, name, accountId } = disconnectedPlayerInfo;
+    const nameLower = name.toLowerCase();
+    const match = getMatchForSocket(socketId);
+    activePlayerNames.delete(nameLower); // Remove from active names
+    delete players[socketId];
+    console.log(`Player ${name} (ID: ${playerId}) disconnected. Active names: ${[...activePlayerNames].join(', ')}`);
+    if (!match) return;
+
+    const { boards, playerSockets } = match;
+    playerSockets[playerId] = null;
+    if(boards[playerId]) boards[playerId].isGameOver = true;
+    match.restartRequests.delete(playerId);
+
+    const opponentId = playerId === 1 ? 2 : 1;
+    const opponentSocketId = playerSockets[opponentId];
+
+    if (isAiSocketId(opponentSocketId)) {
+        // An AI game cannot continue without its human, so the AI and its room go away.
+        console.log(`[${match.id}] Human player disconnected, AI opponent is being removed.`);
+        if (match.gameActuallyRunning && players[opponentSocketId]) {
+            recordMatchResult(match, {
+                [playerId]: { ...getMatchParticipant(match, playerId, disconnectedPlayerInfo), deathReason: 'opponentLeft' },
+                [opponentId]: getMatchParticipant(match, opponentId)
+            }, opponentId, 'opponentLeft');
+        }
+        if (match.replay) saveMatchReplay(match, opponentId, 'opponentLeft'); // Before the room goes away
+        removeAiPlayer(match);
+    }
+    if (!hasHumanPlayer(match)) {
+        destroyMatch(match);
+        drainMatchmakingQueue(); // A room just freed up
+        return;
+    }
+
+    // From here on the opponent is a human (connected, or with their own seat held for a reconnect)
+    if (match.gameActuallyRunning || match.countdownInterval) {
+        const abandonedMidGame = match.gameActuallyRunning; // Leaving during the countdown is not rated
+        clearAllIntervalsAndRequests(match);
+        if (boards[opponentId]) boards[opponentId].isGameOver = false;
+        const scoreDetails = { mode: 'human', rules: match.rules }; // AI games never get here, their room is gone
+        if (boards[playerId]) savePlayerScore(name, boards[playerId].score, accountId, scoreDetails);
+        if (boards[opponentId] && players[opponentSocketId]) savePlayerScore(players[opponentSocketId].name, boards[opponentId].score, players[opponentSocketId].accountId, scoreDetails);
+        if (match.replay) saveMatchReplay(match, opponentId, 'opponentLeft');
+        if (abandonedMidGame && players[opponentSocketId]) {
+            recordMatchResult(match, {
+                [playerId]: { ...getMatchParticipant(match, playerId, disconnectedPlayerInfo), deathReason: 'opponentLeft' },
+                [opponentId]: getMatchParticipant(match, opponentId)
+            }, opponentId, 'opponentLeft');
+        }
+        io.to(match.id).emit('gameOver', { winnerId: opponentId, reason: 'opponentLeft', seed: match.seed });
+        io.to(opponentSocketId).emit('waiting');
+    } else { // Not in active game, but opponent is waiting in this room
+        io.to(opponentSocketId).emit('opponentNameUpdate', { playerId, name: `Player ${playerId}` });
+        io.to(opponentSocketId).emit('waiting');
+        if (boards[playerId]) boards[playerId] = createPlaceholderBoard(match, playerId, `Player ${playerId}`);
     }
-    // No need to generate food here, createNewBoardState does it.
+    broadcastGameState(match);
+    drainMatchmakingQueue(); // The free seat goes to the front of the queue
 }
 
-function clearAllIntervalsAndRequests() {
-    if (gameInterval) { clearInterval(gameInterval); gameInterval = null; }
-    if (countdownInterval) { clearInterval(countdownInterval); countdownInterval = null; }
-    restartRequests.clear();
-    gameActuallyRunning = false;
+function createResumeToken() {
+    return crypto.randomBytes(24).toString('base64url');
 }
 
-function getRandomPosition(exclude = []) {
-    let position, occupied = true, attempts = 0;
-    const maxAttempts = GRID_SIZE * GRID_SIZE;
-    while (occupied && attempts < maxAttempts) {
-        position = { x: Math.floor(Math.random() * GRID_SIZE), y: Math.floor(Math.random() * GRID_SIZE) };
-        const currentExcludes = Array.isArray(exclude) ? exclude : []; // Ensure exclude is an array
-        occupied = currentExcludes.some(item => item && item.x === position.x && item.y === position.y);
-        attempts++;
+// Keeps the seat of a player whose connection dropped during a game or its countdown. For
+// RECONNECT_GRACE_MS their snake keeps moving in its last direction and 'resumeSession' with the
+// resumeToken from their 'init' takes the seat back; after that the game is forfeited as before.
+// Returns false if there is nothing worth holding.
+function holdSeatForReconnect(socketId) {
+    const playerInfo = players[socketId];
+    const match = getMatchForSocket(socketId);
+    if (RECONNECT_GRACE_MS <= 0 || !playerInfo || !match || !playerInfo.resumeToken) return false;
+    if (!match.gameActuallyRunning && !match.countdownInterval) return false;
+    const token = playerInfo.resumeToken;
+    heldSeats[token] = {
+        socketId,
+        timeout: setTimeout(() => {
+            delete heldSeats[token];
+            console.log(`[${match.id}] ${playerInfo.name} did not reconnect within ${RECONNECT_GRACE_MS}ms.`);
+            handlePlayerDeparture(socketId);
+        }, RECONNECT_GRACE_MS)
+    };
+    console.log(`[${match.id}] ${playerInfo.name} (P${playerInfo.playerId}) lost connection, holding the seat for ${RECONNECT_GRACE_MS}ms.`);
+    io.to(match.id).emit('opponentDisconnected', { playerId: playerInfo.playerId, graceMs: RECONNECT_GRACE_MS });
+    return true;
+}
+
+// Moves a held seat (players entry, slot, name and board) over to the reconnected socket.
+// Emits 'resumeRejected' if the token does not belong to a held seat this socket may take.
+function resumeHeldSeat(socket, token) {
+    const heldSeat = typeof token === 'string' ? heldSeats[token] : null;
+    const playerInfo = heldSeat ? players[heldSeat.socketId] : null;
+    const match = heldSeat ? getMatchForSocket(heldSeat.socketId) : null;
+    if (!playerInfo || !match) {
+        socket.emit('resumeRejected', { message: 'There is no seat to resume, the game may already be over.' });
+        return;
+    }
+    if (playerInfo.accountId && (!socket.data.account || socket.data.account.id !== playerInfo.accountId)) {
+        socket.emit('resumeRejected', { message: 'Log in to the account that held this seat to resume it.' });
+        return;
+    }
+    if (players[socket.id] || getQueuePosition(socket.id)) {
+        socket.emit('resumeRejected', { message: 'You are already in a match.' });
+        return;
     }
-    if (occupied && attempts >= maxAttempts) console.warn("Could not find an empty spot for item after max attempts!");
-    return position || { x: 0, y: 0 };
+    clearTimeout(heldSeat.timeout);
+    delete heldSeats[token];
+    stopSpectating(socket);
+
+    const { playerId, name } = playerInfo;
+    delete players[heldSeat.socketId];
+    playerInfo.socketId = socket.id;
+    playerInfo.resumeToken = createResumeToken(); // A token resumes once
+    players[socket.id] = playerInfo;
+    match.playerSockets[playerId] = socket.id;
+    socket.playerName = name;
+    socket.join(match.id);
+    console.log(`[${match.id}] ${name} (P${playerId}) reconnected as ${socket.id}.`);
+
+    socket.emit('init', buildInitPayload(match, playerId, name));
+    socket.emit('sessionResumed', { matchId: match.id, playerId, gameRunning: match.gameActuallyRunning });
+    exchangeOpponentNames(match, playerId);
+    socket.to(match.id).emit('opponentReconnected', { playerId });
+    broadcastGameState(match);
+    if (match.spectators.size > 0) socket.emit('spectatorCountUpdate', { matchId: match.id, count: match.spectators.size });
 }
 
-function getBoardsWithPlayerNames() {
+function getBoardsWithPlayerNames(match) {
+    const { boards, playerSockets } = match;
     const currentBoards = {};
     const player1Info = playerSockets[1] ? players[playerSockets[1]] : null;
     const player2Info = playerSockets[2] ? players[playerSockets[2]] : null;
@@ -138,10 +1107,11 @@ function getBoardsWithPlayerNames() {
         currentBoards[1] = {
             ...boards[1],
             playerName: player1Info ? player1Info.name : (boards[1].playerName || 'Player 1'),
-            isAi: player1Info ? !!player1Info.isAi : false
+            isAi: player1Info ? !!player1Info.isAi : false,
+            rttMs: player1Info && typeof player1Info.rttMs === 'number' ? player1Info.rttMs : null // Measured round-trip time
         };
     } else {
-        currentBoards[1] = createNewBoardState(1, 'Player 1');
+        currentBoards[1] = createPlaceholderBoard(match, 1, 'Player 1');
         currentBoards[1].isAi = false; // Explicitly set for new board state
     }
 
@@ -150,10 +1120,11 @@ function getBoardsWithPlayerNames() {
         currentBoards[2] = {
             ...boards[2],
             playerName: player2Info ? player2Info.name : (boards[2].playerName || 'Player 2'),
-            isAi: player2Info ? !!player2Info.isAi : false
+            isAi: player2Info ? !!player2Info.isAi : false,
+            rttMs: player2Info && typeof player2Info.rttMs === 'number' ? player2Info.rttMs : null
         };
     } else {
-        currentBoards[2] = createNewBoardState(2, 'Player 2');
+        currentBoards[2] = createPlaceholderBoard(match, 2, 'Player 2');
         currentBoards[2].isAi = false; // Explicitly set for new board state
     }
     
@@ -161,418 +1132,1092 @@ function getBoardsWithPlayerNames() {
     if (!playerSockets[1] && currentBoards[1]) currentBoards[1].isGameOver = true;
     if (!playerSockets[2] && currentBoards[2]) currentBoards[2].isGameOver = true;
 
+    // Shared arena: both snakes are drawn on one grid, and food/debuffs/power-ups come from here
+    // instead of the boards (whose food is then null).
+    if (engine.isSharedArena(match.rules) && match.arena) {
+        currentBoards.arena = match.arena;
+    }
+
     return currentBoards;
 }
 
 
+// --- Game State Broadcasts ---
+// 'gameState' is a full snapshot, sent when players or spectators join and whenever boards are reset.
+// While a game runs, every tick sends a 'gameDelta' against the previous broadcast instead (see
+// delta.js). Both carry a seq; a client whose last seq is not the delta's baseSeq missed something
+// and sends 'requestResync' to get the latest snapshot.
+function broadcastGameState(match) {
+    const snapshot = JSON.parse(JSON.stringify(getBoardsWithPlayerNames(match)));
+    snapshot.seq = ++match.stateSeq;
+    snapshot.tick = match.tick; // Tick of the current game; inputs may echo it back, see applyLateInput()
+    match.lastGameState = snapshot;
+    io.to(match.id).emit('gameState', snapshot);
+}
+
+function broadcastGameDelta(match) {
+    if (!match.lastGameState) {
+        broadcastGameState(match);
+        return;
+    }
+    const current = JSON.parse(JSON.stringify(getBoardsWithPlayerNames(match)));
+    const baseSeq = match.stateSeq;
+    const delta = createDelta(match.lastGameState, current); // null on a tick where nothing visible changed
+    current.seq = ++match.stateSeq;
+    match.lastGameState = current;
+    io.to(match.id).emit('gameDelta', { seq: current.seq, baseSeq, tick: match.tick, delta });
+}
+
 // --- Game Start Sequence ---
-function initiateGameStartSequence() {
+function initiateGameStartSequence(match) {
+    const { playerSockets } = match;
     if (!playerSockets[1] || !players[playerSockets[1]] || !playerSockets[2] || !players[playerSockets[2]]) {
-        console.log("Cannot start game sequence, not enough players fully joined (with names).");
+        console.log(`[${match.id}] Cannot start game sequence, not enough players fully joined (with names).`);
         return;
     }
-    if (gameInterval || countdownInterval) {
-        console.log("Game sequence or game already in progress. Aborting new sequence.");
+    if (match.gameInterval || match.countdownInterval || match.paused) {
+        console.log(`[${match.id}] Game sequence or game already in progress. Aborting new sequence.`);
         return;
     }
-    console.log("Initiating game start sequence...");
-    clearAllIntervalsAndRequests();
-    restartRequests.clear(); // Also clear restart requests here
+    console.log(`[${match.id}] Initiating game start sequence...`);
+    clearAllIntervalsAndRequests(match);
+    match.restartRequests.clear(); // Also clear restart requests here
 
     // Reset board states ensuring names from active players are used
-    resetBoardStatesOnly(true);
-
-    io.emit('gameState', getBoardsWithPlayerNames()); // Send initial clean boards
-
-    currentCountdown = COUNTDOWN_SECONDS;
-    io.emit('countdownUpdate', currentCountdown);
-    countdownInterval = setInterval(() => {
-        currentCountdown--;
-        if (currentCountdown > 0) {
-            io.emit('countdownUpdate', currentCountdown);
-        } else if (currentCountdown === 0) {
-            io.emit('countdownUpdate', 'GO!');
+    resetBoardStatesOnly(match, true);
+
+    broadcastGameState(match); // Send initial clean boards
+    io.to(match.id).emit('gameSeed', { seed: match.seed, sameSeed: match.sameSeed });
+
+    runCountdown(match, () => {
+        console.log(`[${match.id}] Countdown finished. Starting game loop.`);
+        startGameLoop(match);
+    });
+}
+
+// Counts the match's countdownSeconds down to 'GO!' through 'countdownUpdate', then calls onFinished.
+function runCountdown(match, onFinished) {
+    match.currentCountdown = match.rules.countdownSeconds;
+    io.to(match.id).emit('countdownUpdate', match.currentCountdown);
+    match.countdownInterval = setInterval(() => {
+        match.currentCountdown--;
+        if (match.currentCountdown > 0) {
+            io.to(match.id).emit('countdownUpdate', match.currentCountdown);
+        } else if (match.currentCountdown === 0) {
+            io.to(match.id).emit('countdownUpdate', 'GO!');
         } else { // currentCountdown < 0
-            clearInterval(countdownInterval);
-            countdownInterval = null;
-            io.emit('countdownUpdate', null); // Clear countdown display on client
-            console.log("Countdown finished. Starting game loop.");
-            startGameLoop();
+            clearInterval(match.countdownInterval);
+            match.countdownInterval = null;
+            io.to(match.id).emit('countdownUpdate', null); // Clear countdown display on client
+            onFinished();
         }
     }, 1000);
 }
 
-function startGameLoop() {
-    if (gameInterval) return; // Prevent multiple intervals
+function startGameLoop(match) {
+    const { boards, playerSockets } = match;
+    if (match.gameInterval) return; // Prevent multiple intervals
     if (!playerSockets[1] || !players[playerSockets[1]] || !playerSockets[2] || !players[playerSockets[2]]) {
-        console.error("Attempted to start game loop without two valid players. Aborting.");
+        console.error(`[${match.id}] Attempted to start game loop without two valid players. Aborting.`);
         return;
     }
-    gameActuallyRunning = true;
-    console.log("Starting game loop (snakes moving)...");
+    match.gameActuallyRunning = true;
+    console.log(`[${match.id}] Starting game loop (snakes moving)...`);
     // Ensure boards are fresh if coming from restart
     if (!boards[1] || boards[1].isGameOver || !boards[2] || boards[2].isGameOver) {
-        resetBoardStatesOnly(true);
-        io.emit('gameState', getBoardsWithPlayerNames());
+        resetBoardStatesOnly(match, true);
+        broadcastGameState(match);
+    }
+    match.tick = 0;
+    match.tickHistory = [];
+    match.gameStats = createGameStats();
+    match.pausesUsed = { 1: 0, 2: 0 };
+    match.seedPlayed = true;
+    if (match.aiBotName) {
+        // Seeded from the game seed so the AI's deliberate mistakes replay the same way
+        match.aiController = bots.createBotController(match.aiBotName, (match.seed ^ 0x5BD1E995) >>> 0);
     }
-    gameInterval = setInterval(updateGameTick, TICK_RATE);
+    startReplayRecording(match);
+    match.gameInterval = setInterval(() => updateGameTick(match), match.rules.tickRate);
 }
 
-// --- Express Setup ---
-app.use(express.static(path.join(__dirname, 'public'))); // Ensure this path is correct
-app.use(express.json());
+// --- Pausing ---
+// Pausing and resuming both need every human in the match to ask (the AI always agrees). A pause
+// stops the tick loop and leaves the boards alone; resuming runs the countdown again first.
+function haveAllPlayersAgreed(match, requests) {
+    return [1, 2].every(playerId => match.playerSockets[playerId] && (isAiSocketId(match.playerSockets[playerId]) || requests.has(playerId)));
+}
 
-// --- API Endpoints ---
+// The pause counts against whoever asked first
+function pauseGame(match) {
+    const [pausedBy] = match.pauseRequests;
+    clearInterval(match.gameInterval);
+    match.gameInterval = null;
+    match.paused = true;
+    match.pauseRequests.clear();
+    match.pausesUsed[pausedBy]++;
+    match.pauseTimeout = setTimeout(() => {
+        match.pauseTimeout = null;
+        console.log(`[${match.id}] Pause ran out after ${MAX_PAUSE_MS}ms.`);
+        resumeGame(match);
+    }, MAX_PAUSE_MS);
+    console.log(`[${match.id}] Game paused at tick ${match.tick} by Player ${pausedBy}.`);
+    io.to(match.id).emit('gamePaused', { pausedBy, pausesUsed: { ...match.pausesUsed }, maxPauses: MAX_PAUSES_PER_GAME, maxPauseMs: MAX_PAUSE_MS });
+}
 
+function resumeGame(match) {
+    if (!match.paused || match.countdownInterval) return;
+    if (match.pauseTimeout) { clearTimeout(match.pauseTimeout); match.pauseTimeout = null; }
+    match.resumeRequests.clear();
+    console.log(`[${match.id}] Resuming game after countdown.`);
+    io.to(match.id).emit('resumeCountdownStarted');
+    runCountdown(match, () => {
+        match.paused = false;
+        match.gameInterval = setInterval(() => updateGameTick(match), match.rules.tickRate);
+        io.to(match.id).emit('gameResumed', { tick: match.tick });
+    });
+}
 
+// --- Match Replays ---
+// Each game is recorded frame by frame while it runs and saved as a Replay document when it ends.
+function snapshotBoardForReplay(board) {
+    if (!board) return null;
+    return {
+        snake: board.snake.map(segment => ({ x: segment.x, y: segment.y })),
+        food: board.food ? { x: board.food.x, y: board.food.y } : null,
+        debuffs: (board.debuffs || []).map(d => ({ x: d.x, y: d.y })),
+        powerups: (board.powerups || []).map(p => ({ x: p.x, y: p.y, type: p.type })),
+        activeEffects: (board.activeEffects || []).map(effect => ({ type: effect.type, expiresAtTick: effect.expiresAtTick })),
+        score: board.score,
+        direction: board.direction,
+        isGameOver: board.isGameOver
+    };
+}
 
+function snapshotArenaForReplay(arena) {
+    return {
+        food: arena.food ? { x: arena.food.x, y: arena.food.y } : null,
+        debuffs: arena.debuffs.map(d => ({ x: d.x, y: d.y })),
+        powerups: arena.powerups.map(p => ({ x: p.x, y: p.y, type: p.type }))
+    };
+}
 
-// --- Main Server Initialization Function ---
-let filterInstance;
+function getReplayFrameBytes(frame) {
+    return Buffer.byteLength(JSON.stringify(frame));
+}
 
-async function setupAsyncDependencies() { // Renamed for clarity
+function recordReplayFrame(match) {
+    const { replay } = match;
+    if (!replay || replay.truncated) return;
+    if (replay.frames.length >= MAX_REPLAY_FRAMES) {
+        replay.truncated = true;
+        return;
+    }
+    const frame = {
+        tick: match.tick,
+        boards: { 1: snapshotBoardForReplay(match.boards[1]), 2: snapshotBoardForReplay(match.boards[2]) }
+    };
+    if (match.arena) frame.arena = snapshotArenaForReplay(match.arena);
+    const frameBytes = getReplayFrameBytes(frame);
+    if (replay.frameBytes + frameBytes > MAX_REPLAY_BYTES) {
+        replay.truncated = true;
+        return;
+    }
+    replay.frames.push(frame);
+    replay.frameBytes += frameBytes;
+}
+
+function recordReplayInput(match, playerId, direction) {
+    if (!match.replay || match.replay.truncated) return;
+    match.replay.inputs.push({ tick: match.tick, playerId, direction });
+}
+
+function startReplayRecording(match) {
+    match.replay = {
+        matchId: match.id,
+        players: [1, 2].map(playerId => {
+            const playerInfo = players[match.playerSockets[playerId]];
+            return {
+                playerId,
+                name: playerInfo ? playerInfo.name : `Player ${playerId}`,
+                color: playerInfo ? playerInfo.color : match.boards[playerId]?.color,
+                headStyle: playerInfo ? playerInfo.headStyle : match.boards[playerId]?.headStyle,
+                isAi: playerInfo ? !!playerInfo.isAi : false
+            };
+        }),
+        frames: [],
+        frameBytes: 0, // Size of frames so far, see MAX_REPLAY_BYTES
+        inputs: [],
+        truncated: false,
+        startedAt: new Date()
+    };
+    recordReplayFrame(match); // Tick 0: the starting position
+}
+
+async function saveMatchReplay(match, winnerId, reason) {
+    const { replay } = match;
+    match.replay = null;
+    if (!replay || replay.frames.length < 2) return; // Nothing worth replaying
+    const { frameBytes, ...replayFields } = replay;
     try {
-        // 1. Connect to MongoDB
-        await mongoose.connect(MONGODB_URI, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
+        const replayDoc = new Replay({
+            ...replayFields,
+            winnerId,
+            reason,
+            rules: match.rules,
+            gridSize: match.rules.gridSize,
+            tickRate: match.rules.tickRate,
+            tickCount: match.tick,
+            seed: match.seed,
+            sameSeed: match.sameSeed
         });
-        console.log('Successfully connected to MongoDB!');
-
-        // 2. Initialize Profanity Filter
-        const badWordsModule = await import('bad-words');
-        const FilterClass = badWordsModule.default;
-        filterInstance = new FilterClass(); // Assign to the global-in-module variable
-        console.log("Profanity filter initialized.");
+        await replayDoc.save();
+        console.log(`[${match.id}] Replay saved (${replay.frames.length} frames): ${replayDoc._id}`);
+        io.to(match.id).emit('replaySaved', { replayId: replayDoc._id });
+    } catch (error) {
+        console.error(`[${match.id}] Error saving replay:`, error.message);
+    }
+}
 
-        io.on('connection', (socket) => {
-            console.log('User connected:', socket.id, "- Awaiting 'joinGame' with name.");
+function stopReplayPlayback(socketId) {
+    if (replayPlaybacks[socketId]) {
+        clearInterval(replayPlaybacks[socketId]);
+        delete replayPlaybacks[socketId];
+    }
+}
 
-            socket.on('joinGame', (data) => {
-                if (players[socket.id]) { // Player is already in 'players' object
+// Streams a stored replay to one socket at the speed it was recorded.
+async function streamReplay(socket, replayId) {
+    if (!mongoose.Types.ObjectId.isValid(replayId)) {
+        socket.emit('replayError', { message: 'Invalid replay id.' }); return;
+    }
+    let replay;
+    try {
+        replay = await Replay.findById(replayId).lean().exec();
+    } catch (error) {
+        console.error(`Error loading replay ${replayId}:`, error.message);
+        socket.emit('replayError', { message: 'Error loading replay.' }); return;
+    }
+    // The socket may have left while the replay was loading; its disconnect handler has already run
+    if (!socket.connected) return;
+    if (!replay) {
+        socket.emit('replayError', { message: 'Replay not found.' }); return;
+    }
+    stopReplayPlayback(socket.id); // One replay per socket at a time
+
+    const playerInfo = {};
+    replay.players.forEach(p => { playerInfo[p.playerId] = p; });
+    const withPlayerInfo = (boardSnapshot, playerId) => boardSnapshot && {
+        ...boardSnapshot,
+        playerId,
+        playerName: playerInfo[playerId]?.name,
+        color: playerInfo[playerId]?.color,
+        headStyle: playerInfo[playerId]?.headStyle,
+        isAi: !!playerInfo[playerId]?.isAi
+    };
+
+    socket.emit('replayStart', {
+        replayId: replay._id,
+        players: replay.players,
+        gridSize: replay.gridSize || DEFAULT_RULES.gridSize,
+        cellSize: replay.rules?.cellSize || DEFAULT_RULES.cellSize,
+        rules: replay.rules || DEFAULT_RULES,
+        tickCount: replay.tickCount,
+        frameCount: replay.frames.length,
+        truncated: replay.truncated
+    });
+    let frameIndex = 0;
+    replayPlaybacks[socket.id] = setInterval(() => {
+        if (!socket.connected) {
+            stopReplayPlayback(socket.id);
+            return;
+        }
+        if (frameIndex >= replay.frames.length) {
+            stopReplayPlayback(socket.id);
+            socket.emit('replayEnd', { replayId: replay._id, winnerId: replay.winnerId, reason: replay.reason });
+            return;
+        }
+        const frame = replay.frames[frameIndex++];
+        socket.emit('replayFrame', {
+            tick: frame.tick,
+            boards: { 1: withPlayerInfo(frame.boards[1], 1), 2: withPlayerInfo(frame.boards[2], 2) },
+            arena: frame.arena || null, // Shared food/debuffs/power-ups of 'shared' mode games
+            inputs: replay.inputs.filter(input => input.tick === frame.tick)
+        });
+    }, replay.tickRate || DEFAULT_RULES.tickRate);
+}
+
+// --- Admin ---
+function requireAdminToken(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(503).json({ message: "Admin endpoints are disabled." });
+    }
+    const token = Buffer.from(String(req.get('x-admin-token') || ''));
+    const expected = Buffer.from(ADMIN_TOKEN);
+    if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+        return res.status(401).json({ message: "Invalid admin token." });
+    }
+    next();
+}
+
+// 'countdown', 'running' and 'paused' are a game in progress; 'waiting' is a free seat, 'idle' a full
+// match between games (after a game over, until both players restart)
+function getMatchStatus(match) {
+    if (match.paused) return 'paused';
+    if (match.gameActuallyRunning) return 'running';
+    if (match.countdownInterval) return 'countdown';
+    return match.playerSockets[1] && match.playerSockets[2] ? 'idle' : 'waiting';
+}
+
+function describeSeatedPlayer(socketId) {
+    const playerInfo = players[socketId];
+    const { playerId, name, matchId, accountId, color, isAi, rttMs } = playerInfo;
+    const seatHeld = Object.values(heldSeats).some(heldSeat => heldSeat.socketId === socketId);
+    return {
+        socketId, playerId, name, matchId, accountId: accountId || null, color, isAi: !!isAi,
+        rttMs: typeof rttMs === 'number' ? rttMs : null,
+        connected: !!isAi || io.sockets.sockets.has(socketId),
+        seatHeld
+    };
+}
+
+// withBoards adds what the players currently see (the gameState boards, plus the arena)
+function describeLiveMatch(match, withBoards = false) {
+    const seats = {};
+    [1, 2].forEach(playerId => {
+        const socketId = match.playerSockets[playerId];
+        seats[playerId] = socketId && players[socketId] ? describeSeatedPlayer(socketId) : null;
+    });
+    const description = {
+        id: match.id,
+        status: getMatchStatus(match),
+        lobbyCode: match.lobbyCode,
+        aiBot: match.aiBotName,
+        rules: match.rules,
+        rulePreset: engine.getRulePresetName(match.rules),
+        seed: match.seed,
+        tick: match.tick,
+        pausesUsed: match.pausesUsed,
+        restartRequests: [...match.restartRequests],
+        spectators: match.spectators.size,
+        seats
+    };
+    if (withBoards) description.boards = getBoardsWithPlayerNames(match);
+    return description;
+}
+
+// Stops the game or countdown in progress without a result: no scores, ratings, Match record or
+// replay. The boards are left as they were and marked over, so the players can restart as usual.
+// Returns false if there was nothing to stop.
+function forceEndMatch(match) {
+    if (!match.gameActuallyRunning && !match.countdownInterval && !match.paused) return false;
+    console.log(`[${match.id}] Game ended by an administrator at tick ${match.tick}.`);
+    clearAllIntervalsAndRequests(match);
+    match.replay = null;
+    [1, 2].forEach(playerId => { if (match.boards[playerId]) match.boards[playerId].isGameOver = true; });
+    io.to(match.id).emit('gameOver', { winnerId: 0, reason: 'adminEnded', seed: match.seed });
+    broadcastGameState(match);
+    scheduleMatchRotation(match, 0);
+    return true;
+}
+
+// Throws away the game in progress (if any) the same way and starts a new one with the seated
+// players. Returns false if a seat is empty.
+function restartMatch(match) {
+    const { playerSockets } = match;
+    if (!playerSockets[1] || !players[playerSockets[1]] || !playerSockets[2] || !players[playerSockets[2]]) return false;
+    if (match.gameActuallyRunning || match.countdownInterval || match.paused) {
+        io.to(match.id).emit('gameOver', { winnerId: 0, reason: 'adminRestarted', seed: match.seed });
+    }
+    console.log(`[${match.id}] Game restarted by an administrator.`);
+    clearAllIntervalsAndRequests(match);
+    match.replay = null;
+    resetBoardStatesOnly(match, true);
+    io.to(match.id).emit('allPlayersReadyForRestart');
+    initiateGameStartSequence(match);
+    return true;
+}
+
+// Disconnects whoever plays, waits in the queue or has a held seat under this name, and frees the
+// name. A seated player forfeits like any kicked player. Returns what was found, or null.
+function kickPlayerByName(name) {
+    const nameLower = name.toLowerCase();
+    const message = 'You were removed from the server by an administrator.';
+    const seatedSocketId = Object.keys(players).find(socketId => !players[socketId].isAi && players[socketId].name.toLowerCase() === nameLower);
+    const queueEntry = matchmakingQueue.find(entry => entry.name.toLowerCase() === nameLower);
+    const socketId = seatedSocketId || (queueEntry && queueEntry.socketId);
+    const wasActive = activePlayerNames.has(nameLower);
+    if (!socketId && !wasActive) return null;
+    const kickedName = seatedSocketId ? players[seatedSocketId].name : (queueEntry ? queueEntry.name : name);
+
+    const socket = socketId ? io.sockets.sockets.get(socketId) : null;
+    let kicked = 'staleName';
+    if (socket) {
+        kicked = seatedSocketId ? 'player' : 'queued';
+        kickSocket(socket, message);
+    } else if (seatedSocketId) { // Seat held for a reconnect
+        kicked = 'heldSeat';
+        const token = Object.keys(heldSeats).find(heldToken => heldSeats[heldToken].socketId === seatedSocketId);
+        if (token) {
+            clearTimeout(heldSeats[token].timeout);
+            delete heldSeats[token];
+        }
+        handlePlayerDeparture(seatedSocketId);
+    } else if (queueEntry) {
+        leaveQueue(queueEntry.socketId);
+    }
+    activePlayerNames.delete(nameLower);
+    console.log(`Admin kick of "${name}" (${kicked}).`);
+    return { name: kickedName, kicked, socketId: socketId || null };
+}
+
+function getSocketFingerprint(socket) {
+    const fingerprint = socket.handshake.auth && socket.handshake.auth.fingerprint;
+    return typeof fingerprint === 'string' && fingerprint.length <= 128 ? fingerprint : null;
+}
+
+// Disconnects everyone a new rule shuts out: players under a banned name and sockets from a banned
+// address or fingerprint. Returns how many were removed. A newly reserved name only stops new joins.
+function enforceModerationRule(rule) {
+    if (rule.kind === 'bannedName') {
+        const names = [...Object.values(players).filter(playerInfo => !playerInfo.isAi), ...matchmakingQueue]
+            .map(entry => entry.name)
+            .filter(name => moderation.normalizeName(name) === rule.value);
+        return names.filter(name => kickPlayerByName(name)).length;
+    }
+    if (rule.kind !== 'ipBan' && rule.kind !== 'fingerprintBan') return 0;
+    const bannedSockets = [...io.sockets.sockets.values()].filter(socket => {
+        const ban = moderation.findBan({ ip: socket.handshake.address, fingerprint: getSocketFingerprint(socket) });
+        return ban && ban.kind === rule.kind && ban.value === rule.value;
+    });
+    bannedSockets.forEach(socket => kickSocket(socket, rule.reason ? `You were banned: ${rule.reason}` : 'You were banned.'));
+    return bannedSockets.length;
+}
+
+function describeSocketRole(socketId) {
+    if (players[socketId]) return { role: 'player', name: players[socketId].name, matchId: players[socketId].matchId };
+    if (spectators[socketId]) return { role: 'spectator', name: null, matchId: spectators[socketId] };
+    const queueEntry = matchmakingQueue.find(entry => entry.socketId === socketId);
+    if (queueEntry) return { role: 'queued', name: queueEntry.name, matchId: null };
+    if (replayPlaybacks[socketId]) return { role: 'replay', name: null, matchId: null };
+    return { role: 'idle', name: null, matchId: null };
+}
+
+function startTournamentRun(options) {
+    const id = `tournament_${Date.now()}`;
+    const run = { id, status: 'running', request: options, results: null, error: null };
+    tournamentRuns[id] = run;
+    runningTournamentId = id;
+    console.log(`Tournament ${id} started: ${options.bots.join(' vs ')}, ${options.games} games.`);
+    tournament.runTournamentInWorker(options, { id }).then(({ results, error }) => {
+        run.status = error ? 'failed' : 'finished';
+        run.results = results || null;
+        run.error = error || null;
+        console.log(`Tournament ${id} ${run.status}.`);
+    }).catch(error => {
+        console.error(`Tournament ${id} failed:`, error);
+        run.status = 'failed';
+        run.error = error.message;
+    }).finally(() => {
+        runningTournamentId = null;
+    });
+    return run;
+}
+
+// --- Express Setup ---
+app.use(express.static(path.join(__dirname, 'public'))); // Ensure this path is correct
+app.use(express.json());
+
+// --- API Endpoints ---
+
+
+
+
+// --- Leaderboards ---
+const LEADERBOARD_PERIODS = ['daily', 'weekly', 'monthly', 'all-time'];
+const LEADERBOARD_PROJECTION = {
+    $project: {
+        _id: 0,
+        playerName: "$playerName",
+        score: "$highestScore",
+        timestamp: "$timestamp",
+        registered: { $ne: ["$_id.player", null] }
+    }
+};
+
+// Reads ?period, ?mode and ?preset. Returns { filters } or { error }.
+function parseLeaderboardFilters(query) {
+    const period = query.period === undefined ? 'all-time' : query.period;
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+        return { error: `Period must be one of: ${LEADERBOARD_PERIODS.join(', ')}.` };
+    }
+    if (query.mode !== undefined && query.mode !== 'human' && query.mode !== 'ai') {
+        return { error: "Mode must be 'human' or 'ai'." };
+    }
+    const presets = [...Object.keys(engine.RULE_PRESETS), 'custom'];
+    if (query.preset !== undefined && !presets.includes(query.preset)) {
+        return { error: `Preset must be one of: ${presets.join(', ')}.` };
+    }
+    return { filters: { period, mode: query.mode, preset: query.preset } };
+}
+
+// Periods are calendar based in UTC: today, this week (from Monday) and this month.
+function getPeriodStart(period, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (period === 'daily') return start;
+    if (period === 'weekly') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+        return start;
+    }
+    if (period === 'monthly') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return null;
+}
+
+// Stages that leave one { _id: { player, guestName }, playerName, highestScore, timestamp } per registered
+// player or guest name, best first. Guest scores posted under a name that has since been registered are left out.
+function buildLeaderboardPipeline(filters) {
+    const match = {
+        $or: [
+            { player: { $ne: null } },
+            { $expr: { $not: [{ $in: [{ $toLower: "$playerName" }, [...registeredPlayerNames]] }] } }
+        ]
+    };
+    const periodStart = getPeriodStart(filters.period);
+    if (periodStart) match.timestamp = { $gte: periodStart };
+    if (filters.mode) match.mode = filters.mode;
+    if (filters.preset) match.rulePreset = filters.preset;
+    return [
+        { $match: match },
+        { $sort: { score: -1, timestamp: 1 } },
+        {
+            $group: {
+                _id: {
+                    player: { $ifNull: ["$player", null] },
+                    guestName: { $cond: [{ $eq: [{ $ifNull: ["$player", null] }, null] }, { $toLower: "$playerName" }, null] }
+                },
+                playerName: { $first: "$playerName" },
+                highestScore: { $first: "$score" },
+                timestamp: { $first: "$timestamp" }
+            }
+        },
+        { $sort: { highestScore: -1, timestamp: 1 } }
+    ];
+}
+
+// --- Match History ---
+const MATCH_END_REASONS = ['wallCollision', 'selfCollision', 'headOnCollision', 'bodyCollision', 'draw', 'opponentLeft'];
+
+function parseBooleanQuery(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return null;
+}
+
+// Reads the /api/matches filters other than ?player. Returns { filter } (a Match query) or { error }.
+function parseMatchFilters(query) {
+    const filter = {};
+    for (const field of ['vsAi', 'rated']) {
+        if (query[field] === undefined) continue;
+        const value = parseBooleanQuery(query[field]);
+        if (value === null) return { error: `${field} must be 'true' or 'false'.` };
+        filter[field] = value;
+    }
+    if (query.reason !== undefined) {
+        if (!MATCH_END_REASONS.includes(query.reason)) {
+            return { error: `Reason must be one of: ${MATCH_END_REASONS.join(', ')}.` };
+        }
+        filter.reason = query.reason;
+    }
+    if (query.preset !== undefined) {
+        const presets = [...Object.keys(engine.RULE_PRESETS), 'custom'];
+        if (!presets.includes(query.preset)) return { error: `Preset must be one of: ${presets.join(', ')}.` };
+        filter.rulePreset = query.preset;
+    }
+    for (const [field, operator] of [['since', '$gte'], ['until', '$lte']]) {
+        if (query[field] === undefined) continue;
+        const date = new Date(query[field]);
+        if (isNaN(date.getTime())) return { error: `${field} must be a date.` };
+        filter.timestamp = { ...filter.timestamp, [operator]: date };
+    }
+    return { filter };
+}
+
+// Registered names resolve to the account; other names to guest games played under that name.
+// filter selects the player's games, entryFilter their entry once players is unwound.
+async function getPlayerMatchFilter(rawName) {
+    const name = rawName.trim();
+    const account = await Player.findOne({ usernameLower: name.toLowerCase() }).lean().exec();
+    if (account) {
+        return { account, filter: { 'players.player': account._id }, entryFilter: { 'players.player': account._id } };
+    }
+    return {
+        account: null,
+        filter: { players: { $elemMatch: { name, player: null, isAi: { $ne: true } } } },
+        entryFilter: { 'players.name': name, 'players.player': null, 'players.isAi': { $ne: true } }
+    };
+}
+
+// Folds the per-opponent-type rows of /api/players/:name/summary into one set of totals and averages.
+function summarizeMatchRows(rows) {
+    const sum = field => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const games = sum('games');
+    const wins = sum('wins');
+    const draws = sum('draws');
+    const average = field => (games > 0 ? Math.round((sum(field) / games) * 10) / 10 : 0);
+    return {
+        games,
+        wins,
+        losses: games - wins - draws,
+        draws,
+        winRate: games > 0 ? Math.round((wins / games) * 1000) / 1000 : 0,
+        averageScore: average('totalScore'),
+        bestScore: rows.reduce((best, row) => Math.max(best, row.bestScore || 0), 0),
+        averageLength: average('totalLength'),
+        averageDurationTicks: average('totalTicks'),
+        foodEaten: sum('foodEaten'),
+        debuffsSent: sum('debuffsSent'),
+        debuffsReceived: sum('debuffsReceived')
+    };
+}
+
+// --- Main Server Initialization Function ---
+let filterInstance;
+
+async function setupAsyncDependencies() { // Renamed for clarity
+    try {
+        // 1. Connect to MongoDB
+        await mongoose.connect(MONGODB_URI, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('Successfully connected to MongoDB!');
+
+        // 2. Initialize Profanity Filter
+        const badWordsModule = await import('bad-words');
+        const FilterClass = badWordsModule.default;
+        filterInstance = new FilterClass(); // Assign to the global-in-module variable
+        console.log("Profanity filter initialized.");
+        moderation.configureModeration({ filter: filterInstance, reservedNames: RESERVED_PLAYER_NAMES });
+        const moderationRules = await ModerationRule.find({}).lean().exec();
+        moderation.loadRules(moderationRules);
+        console.log(`Loaded ${moderationRules.length} moderation rules.`);
+
+        // 3. Registered usernames, so guest names can be checked without a database round trip
+        const accounts = await Player.find({}).select('usernameLower').lean().exec();
+        registeredPlayerNames = new Set(accounts.map(account => account.usernameLower));
+        console.log(`Loaded ${registeredPlayerNames.size} registered player names.`);
+
+        // Banned addresses and fingerprints are refused before anything else. Clients may send a device
+        // fingerprint as io({ auth: { fingerprint } }) so a ban outlives a new address.
+        io.use((socket, next) => {
+            const ban = moderation.findBan({ ip: socket.handshake.address, fingerprint: getSocketFingerprint(socket) });
+            if (!ban) return next();
+            console.log(`Refused banned connection from ${socket.handshake.address} (${ban.kind}).`);
+            next(new Error(ban.reason ? `You are banned from this server: ${ban.reason}` : 'You are banned from this server.'));
+        });
+
+        // Clients log in over REST (/api/auth/login) and pass the session token as io({ auth: { token } }).
+        // No token means a guest; a bad token is refused so the client knows to log in again.
+        io.use(async (socket, next) => {
+            socket.data.account = null;
+            const token = socket.handshake.auth && socket.handshake.auth.token;
+            if (!token) return next();
+            try {
+                const player = await findPlayerBySessionToken(token);
+                if (!player) return next(new Error('Invalid or expired session token.'));
+                socket.data.account = { id: String(player._id), username: player.username, achievements: getAchievementIds(player) };
+                next();
+            } catch (error) {
+                console.error('Error checking session token:', error.message);
+                next(new Error('Could not verify session token.'));
+            }
+        });
+
+        io.on('connection', (socket) => {
+            console.log('User connected:', socket.id, "- Awaiting 'joinGame' with name.");
+
+            socket.on('joinGame', (data) => {
+                if (getQueuePosition(socket.id)) {
+                    socket.emit('queued', { position: getQueuePosition(socket.id), queueLength: matchmakingQueue.length, rotationMode: MATCH_ROTATION_MODE });
+                    return;
+                }
+                if (players[socket.id]) { // Player is already in 'players' object
+                    const match = getMatchForSocket(socket.id);
                     console.log(`Socket ${socket.id} (${players[socket.id].name}) tried to join again. Resyncing.`);
-                    socket.emit('init', { // Resend init data
-                        yourPlayerId: players[socket.id].playerId,
-                        gridSize: GRID_SIZE,
-                        cellSize: 20, // Assuming cellSize is fixed or send from config
-                        yourName: players[socket.id].name
-                    });
-                    io.emit('gameState', getBoardsWithPlayerNames()); // Send current game state
+                    if (!match) return;
+                    socket.emit('init', buildInitPayload(match, players[socket.id].playerId, players[socket.id].name)); // Resend init data
+                    broadcastGameState(match); // Send current game state
                     // If game is over, resend gameOver event
+                    const { boards } = match;
                     if((boards[1] && boards[1].isGameOver) || (boards[2] && boards[2].isGameOver)) {
                         const winnerId = (boards[1] && boards[1].isGameOver) ? ( (boards[2] && boards[2].isGameOver) ? 0 : 2) : 1;
-                        socket.emit('gameOver', { winnerId, reason: 'rejoinToGameOver' });
+                        socket.emit('gameOver', { winnerId, reason: 'rejoinToGameOver', seed: match.seed });
                     }
                     return;
                 }
 
-                if (!data || typeof data.name !== 'string') {
+                const playerName = getRequestedPlayerName(socket, data);
+                if (playerName === null) {
                     socket.emit('nameRejected', { message: 'Invalid join request data.' }); return;
                 }
-                const playerName = data.name.trim();
-                const playerNameLower = playerName.toLowerCase();
-
-                if (!playerName || playerName.length < 2 || playerName.length > 15) {
-                    socket.emit('nameRejected', { message: 'Name must be 2-15 characters.' }); return;
-                }
-                if (!/^[a-zA-Z0-9_-\s]+$/.test(playerName)) {
-                    socket.emit('nameRejected', { message: 'Name contains invalid characters.' }); return;
-                }
-                try {
-                    if (filterInstance.isProfane(playerName)) {
-                        socket.emit('nameRejected', { message: 'Name contains inappropriate language.' }); return;
-                    }
-                } catch (e) {
-                    socket.emit('nameRejected', { message: 'Error validating name. Try another.' }); return;
+                const nameError = getPlayerNameError(playerName, socket.data.account);
+                if (nameError) {
+                    socket.emit('nameRejected', { message: nameError }); return;
                 }
+                if (!applyCosmeticChoice(socket, data)) return;
 
-                // ****** UNIQUE ACTIVE NAME CHECK ******
-                if (activePlayerNames.has(playerNameLower)) {
-                    socket.emit('nameRejected', { message: `Name "${playerName}" is currently in use. Please choose another.` });
-                    return;
+                // Nobody skips the line: while others are queued, newcomers queue behind them
+                if (matchmakingQueue.length > 0 || !placePlayerInOpenMatch(socket, playerName)) {
+                    enqueuePlayer(socket, playerName);
+                    rotateIdleFinishedMatch();
                 }
+            });
 
-                let assignedPlayerId = null;
-                if (!playerSockets[1]) assignedPlayerId = 1;
-                else if (!playerSockets[2]) assignedPlayerId = 2;
-                else {
-                    socket.emit('gameFull', { message: 'Sorry, the game is currently full.' }); return;
-                }
-
-                playerSockets[assignedPlayerId] = socket.id;
-                players[socket.id] = {
-                    playerId: assignedPlayerId,
-                    color: assignedPlayerId === 1 ? 'green' : 'blue', // Default, can be customized
-                    name: playerName,
-                    socketId: socket.id
-                };
-                activePlayerNames.add(playerNameLower); // Add to active names
-                socket.playerName = playerName; // Store on socket for easy access on disconnect
-
-                // Initialize or update board for this player
-                boards[assignedPlayerId] = createNewBoardState(assignedPlayerId, playerName);
-                boards[assignedPlayerId].color = players[socket.id].color; // Ensure color matches
-
-                console.log(`Player ${assignedPlayerId} (${playerName}, ${socket.id}) joined.`);
-                socket.emit('init', {
-                    yourPlayerId: assignedPlayerId,
-                    gridSize: GRID_SIZE,
-                    cellSize: 20, // Example
-                    yourName: playerName
-                });
-
-                const opponentId = assignedPlayerId === 1 ? 2 : 1;
-                if (playerSockets[opponentId] && players[playerSockets[opponentId]]) {
-                    // Notify existing opponent about the new player
-                    io.to(playerSockets[opponentId]).emit('opponentNameUpdate', {
-                        playerId: assignedPlayerId,
-                        name: playerName,
-                        isAi: false // New joiner is human
-                    });
-                    // Notify new player about the existing opponent
-                    const opponentInfo = players[playerSockets[opponentId]];
-                    socket.emit('opponentNameUpdate', { 
-                        playerId: opponentId,
-                        name: opponentInfo.name,
-                        isAi: !!opponentInfo.isAi // Send isAi status of the existing opponent
-                    });
-                }
-
-                // Logic for 'joinGame' is now for two human players
-                if (playerSockets[1] && playerSockets[2]) {
-                    console.log("Both human players are now in. Initiating game sequence.");
-                    initiateGameStartSequence();
-                } else if (assignedPlayerId === 1) { // Player 1 joined, waiting for Player 2
-                    console.log(`Player ${playerName} (P1) is waiting for a human opponent.`);
-                    socket.emit('waiting');
-                    io.emit('gameState', getBoardsWithPlayerNames());
-                } else { // Player 2 joined, P1 should already be there
-                    // This case is covered by the `playerSockets[1] && playerSockets[2]` check above
-                    // If P1 is not there, assignedPlayerId would have been 1.
-                    // So this 'else' implies P2 joined and P1 exists.
-                    // The initiateGameStartSequence will be called.
-                }
+            socket.on('leaveQueue', () => {
+                if (leaveQueue(socket.id)) socket.emit('leftQueue');
             });
 
             socket.on('requestAiGame', (data) => {
                 console.log(`Socket ${socket.id} requested AI game with name: ${data ? data.name : 'undefined'}`);
-                if (!data || typeof data.name !== 'string') {
+                const playerName = getRequestedPlayerName(socket, data);
+                if (playerName === null) {
                     socket.emit('nameRejected', { message: 'Invalid request data.' }); return;
                 }
-                const playerName = data.name.trim();
-                const playerNameLower = playerName.toLowerCase();
 
                 // Name Validation (same as joinGame)
-                if (!playerName || playerName.length < 2 || playerName.length > 15) {
-                    socket.emit('nameRejected', { message: 'Name must be 2-15 characters.' }); return;
+                const nameError = getPlayerNameError(playerName, socket.data.account);
+                if (nameError) {
+                    socket.emit('nameRejected', { message: nameError }); return;
                 }
-                if (!/^[a-zA-Z0-9_-\s]+$/.test(playerName)) {
-                    socket.emit('nameRejected', { message: 'Name contains invalid characters.' }); return;
+                if (!applyCosmeticChoice(socket, data)) return;
+
+                // A socket plays in at most one match at a time
+                if (getQueuePosition(socket.id)) {
+                    socket.emit('gameFull', { message: 'Leave the matchmaking queue before starting an AI game.' });
+                    return;
                 }
-                try {
-                    if (filterInstance.isProfane(playerName)) {
-                        socket.emit('nameRejected', { message: 'Name contains inappropriate language.' }); return;
+                if (players[socket.id]) {
+                    const existingMatch = getMatchForSocket(socket.id);
+                    // Check if this same user already has an AI game set up (e.g. a quick re-request)
+                    if (existingMatch && players[socket.id].name === playerName && isAiSocketId(existingMatch.playerSockets[2])) {
+                        console.warn(`Player ${playerName} (${socket.id}) requested AI game again, already set up.`);
+                        socket.emit('init', buildInitPayload(existingMatch, 1, playerName));
+                        io.to(socket.id).emit('opponentNameUpdate', { playerId: 2, name: AI_PLAYER_NAME, isAi: true, bot: existingMatch.aiBotName });
+                        // Do not start sequence again if game might be running
+                        if (!existingMatch.gameActuallyRunning && !existingMatch.countdownInterval) {
+                            initiateGameStartSequence(existingMatch);
+                        }
+                        return;
                     }
-                } catch (e) {
-                    socket.emit('nameRejected', { message: 'Error validating name. Try another.' }); return;
-                }
-                if (activePlayerNames.has(playerNameLower)) {
-                    socket.emit('nameRejected', { message: `Name "${playerName}" is currently in use. Please choose another.` });
+                    console.warn(`AI game request rejected: ${socket.id} is already seated in ${players[socket.id].matchId}.`);
+                    socket.emit('gameFull', { message: 'Cannot start AI game, you are already in a match.' });
                     return;
                 }
 
-                // Check if slots are available
-                if (playerSockets[1] || playerSockets[2]) {
-                    // Check if P1 slot is taken by this same user (e.g. a quick re-request)
-                    if (playerSockets[1] === socket.id && players[socket.id] && players[socket.id].name === playerName) {
-                        // If AI is already P2, maybe just resend init or ignore
-                        if (playerSockets[2] === 'ai_socket_id') {
-                             console.warn(`Player ${playerName} (${socket.id}) requested AI game again, already set up.`);
-                             socket.emit('init', { yourPlayerId: 1, gridSize: GRID_SIZE, cellSize: 20, yourName: playerName });
-                             io.to(socket.id).emit('opponentNameUpdate', { playerId: 2, name: AI_PLAYER_NAME, isAi: true });
-                             // Do not start sequence again if game might be running
-                             if (!gameActuallyRunning && !countdownInterval) {
-                                 initiateGameStartSequence();
-                             }
-                             return;
-                        }
-                    }
-                    // If P1 or P2 slots are taken by anyone else (human or AI)
-                    console.warn(`AI game request rejected: Player 1 slot taken by ${playerSockets[1]}, Player 2 slot by ${playerSockets[2]}`);
+                // AI games always get a room of their own
+                if (Object.keys(matches).length >= MAX_MATCHES) {
+                    console.warn(`AI game request rejected: ${Object.keys(matches).length} matches already running.`);
                     socket.emit('gameFull', { message: 'Cannot start AI game, server busy or slots taken.' });
                     return;
                 }
+                const seedOptions = parseSeedOptions(data);
+                if (!seedOptions) {
+                    socket.emit('invalidSeed', { message: `Seed must be an integer between 0 and ${MAX_SEED}.` }); return;
+                }
+                const { rules, error: rulesError } = engine.resolveRules(data.rules);
+                if (rulesError) {
+                    socket.emit('rulesRejected', { message: rulesError }); return;
+                }
+                // { bot: 'name' } picks any registered bot; { difficulty } one of the built-in levels
+                const difficulty = data.difficulty === undefined ? ai.DEFAULT_DIFFICULTY : data.difficulty;
+                if (data.bot === undefined && !ai.isValidDifficulty(difficulty)) {
+                    socket.emit('invalidDifficulty', { message: `Difficulty must be one of: ${Object.keys(ai.DIFFICULTY_LEVELS).join(', ')}.` }); return;
+                }
+                if (data.bot !== undefined && !bots.hasBot(data.bot)) {
+                    socket.emit('invalidBot', { message: `Unknown bot. Choose one of: ${bots.listBots().map(bot => bot.name).join(', ')}.` }); return;
+                }
+                const botName = data.bot === undefined ? difficulty : data.bot;
+                const match = createMatch(rules);
+                applySeedOptions(match, seedOptions);
+                const { playerSockets } = match;
 
                 // Setup Player 1 (Human)
-                playerSockets[1] = socket.id;
-                players[socket.id] = {
-                    playerId: 1,
-                    color: 'green',
-                    name: playerName,
-                    socketId: socket.id,
-                    isAi: false
-                };
-                activePlayerNames.add(playerNameLower);
-                socket.playerName = playerName;
-                boards[1] = createNewBoardState(1, playerName);
-                boards[1].color = players[socket.id].color;
-                console.log(`Player 1 (${playerName}, ${socket.id}) joined for AI game.`);
-                socket.emit('init', {
-                    yourPlayerId: 1,
-                    gridSize: GRID_SIZE,
-                    cellSize: 20,
-                    yourName: playerName
-                });
+                seatHumanPlayer(socket, match, 1, playerName, 'green');
+                console.log(`Player 1 (${playerName}, ${socket.id}) joined ${match.id} for AI game.`);
 
                 // Create AI Player for Player 2 slot
-                createAiPlayer(); // This will set up P2 as AI
+                createAiPlayer(match, botName); // This will set up P2 as AI
 
                 // Start the game
-                if (playerSockets[1] && playerSockets[2] === 'ai_socket_id') {
-                    console.log("Player 1 and AI ready. Initiating game sequence for AI game.");
-                    initiateGameStartSequence();
+                if (playerSockets[1] && isAiSocketId(playerSockets[2])) {
+                    console.log(`[${match.id}] Player 1 and AI ready. Initiating game sequence for AI game.`);
+                    initiateGameStartSequence(match);
                 } else {
                     // This should not happen if logic is correct
-                    console.error("Error setting up AI game: AI player not created correctly.");
+                    console.error(`[${match.id}] Error setting up AI game: AI player not created correctly.`);
                     // Cleanup P1 if AI setup failed
-                    activePlayerNames.delete(playerNameLower);
+                    activePlayerNames.delete(playerName.toLowerCase());
                     delete players[socket.id];
-                    playerSockets[1] = null;
-                    boards[1] = null;
+                    socket.leave(match.id);
+                    destroyMatch(match);
                     socket.emit('nameRejected', { message: 'Server error creating AI game.' }); // Or a generic error
                 }
             });
 
-            socket.on('directionChange', (newDirection) => {
-                if (!gameActuallyRunning) return;
+            // --- Private Lobbies ---
+            // createLobby seats the creator as Player 1 of a private match and hands back a code;
+            // only a joinLobby with that code can take Player 2, and only then does the countdown start.
+            socket.on('createLobby', (data) => {
+                if (players[socket.id] || getQueuePosition(socket.id)) {
+                    socket.emit('lobbyError', { message: 'You are already in a match.' }); return;
+                }
+                const playerName = getRequestedPlayerName(socket, data);
+                if (playerName === null) {
+                    socket.emit('nameRejected', { message: 'Invalid lobby request data.' }); return;
+                }
+                const nameError = getPlayerNameError(playerName, socket.data.account);
+                if (nameError) {
+                    socket.emit('nameRejected', { message: nameError }); return;
+                }
+                if (!applyCosmeticChoice(socket, data)) return;
+
+                const seedOptions = parseSeedOptions(data);
+                if (!seedOptions) {
+                    socket.emit('invalidSeed', { message: `Seed must be an integer between 0 and ${MAX_SEED}.` }); return;
+                }
+
+                const { rules, error: rulesError } = engine.resolveRules(data.rules);
+                if (rulesError) {
+                    socket.emit('rulesRejected', { message: rulesError }); return;
+                }
+
+                const match = createLobbyMatch(rules);
+                if (!match) {
+                    socket.emit('gameFull', { message: 'Sorry, all match rooms are currently in use.' }); return;
+                }
+                applySeedOptions(match, seedOptions);
+                seatHumanPlayer(socket, match, 1, playerName, 'green');
+                console.log(`Player 1 (${playerName}, ${socket.id}) created private lobby ${match.lobbyCode} (${match.id}).`);
+                socket.emit('lobbyCreated', { code: match.lobbyCode, matchId: match.id, seed: match.seed, sameSeed: match.sameSeed, rules: match.rules });
+                socket.emit('waiting');
+                broadcastGameState(match);
+            });
+
+            socket.on('joinLobby', (data) => {
+                if (players[socket.id] || getQueuePosition(socket.id)) {
+                    socket.emit('lobbyError', { message: 'You are already in a match.' }); return;
+                }
+                const playerName = getRequestedPlayerName(socket, data);
+                if (playerName === null || typeof data.code !== 'string') {
+                    socket.emit('nameRejected', { message: 'Invalid lobby request data.' }); return;
+                }
+                const match = findLobbyMatch(data.code);
+                if (!match) {
+                    socket.emit('lobbyError', { message: 'No lobby found with that code.' }); return;
+                }
+                const nameError = getPlayerNameError(playerName, socket.data.account);
+                if (nameError) {
+                    socket.emit('nameRejected', { message: nameError }); return;
+                }
+                if (!applyCosmeticChoice(socket, data)) return;
+
+                const { playerSockets } = match;
+                let assignedPlayerId = null;
+                if (!playerSockets[1]) assignedPlayerId = 1;
+                else if (!playerSockets[2]) assignedPlayerId = 2;
+                else {
+                    socket.emit('lobbyError', { message: 'That lobby is already full.' }); return;
+                }
+
+                seatHumanPlayer(socket, match, assignedPlayerId, playerName, assignedPlayerId === 1 ? 'green' : 'blue');
+                console.log(`Player ${assignedPlayerId} (${playerName}, ${socket.id}) joined private lobby ${match.lobbyCode} (${match.id}).`);
+                socket.emit('lobbyJoined', { code: match.lobbyCode, matchId: match.id });
+                exchangeOpponentNames(match, assignedPlayerId);
+
+                if (playerSockets[1] && playerSockets[2]) {
+                    console.log(`[${match.id}] Both invited players are in lobby ${match.lobbyCode}. Initiating game sequence.`);
+                    initiateGameStartSequence(match);
+                } else { // The other invited player already left; the code stays valid for the free seat
+                    socket.emit('waiting');
+                    broadcastGameState(match);
+                }
+            });
+
+            // --- Spectator Mode ---
+            socket.on('spectate', (data) => {
+                if (players[socket.id]) {
+                    socket.emit('spectateError', { message: 'Players cannot spectate while seated in a match.' }); return;
+                }
+                const match = findSpectatableMatch(data);
+                if (!match) {
+                    socket.emit('spectateError', { message: 'No match available to spectate.' }); return;
+                }
+                stopSpectating(socket); // Switching matches
+                spectators[socket.id] = match.id;
+                match.spectators.add(socket.id);
+                socket.join(match.id);
+                console.log(`Spectator ${socket.id} is watching ${match.id}. Spectators: ${match.spectators.size}`);
+
+                socket.emit('spectating', {
+                    matchId: match.id,
+                    gridSize: match.rules.gridSize,
+                    cellSize: match.rules.cellSize,
+                    rules: match.rules,
+                    spectatorCount: match.spectators.size
+                });
+                broadcastGameState(match);
+                if (match.countdownInterval) socket.emit('countdownUpdate', match.currentCountdown);
+                emitSpectatorCount(match);
+            });
+
+            socket.on('stopSpectating', () => {
+                stopSpectating(socket);
+            });
+
+            // Payload: 'up' | 'down' | 'left' | 'right', or { direction, tick } where tick is the last tick
+            // the client had seen (see applyLateInput())
+            socket.on('directionChange', (payload) => {
+                if (!checkInputRate(socket)) return;
+                const input = parseDirectionInput(payload);
+                if (!input) {
+                    addInputStrike(socket, 'invalidDirection');
+                    return;
+                }
+                if (spectators[socket.id]) {
+                    socket.emit('spectatorActionRejected', { action: 'directionChange', message: 'Spectators cannot control snakes.' }); return;
+                }
+                const match = getMatchForSocket(socket.id);
+                if (!match || !match.gameActuallyRunning || match.paused) return;
                 const playerInfo = players[socket.id];
+                const { boards } = match;
                 if (!playerInfo || !boards[playerInfo.playerId] || boards[playerInfo.playerId].isGameOver) return;
+                if (input.tick !== null && applyLateInput(match, playerInfo, input.direction, input.tick)) return;
+                queuePlayerInput(match, playerInfo.playerId, input.direction);
+            });
 
-                const board = boards[playerInfo.playerId];
-                const currentDirString = board.direction;
-
-                if (
-                    (newDirection === 'up'    && currentDirString !== 'down') ||
-                    (newDirection === 'down'  && currentDirString !== 'up')   ||
-                    (newDirection === 'left'  && currentDirString !== 'right')||
-                    (newDirection === 'right' && currentDirString !== 'left') ||
-                    !currentDirString // Allow initial direction set
-                ) {
-                    board.direction = newDirection;
-                    switch (newDirection) {
-                        case 'up':    board.dx = 0; board.dy = -1; break;
-                        case 'down':  board.dx = 0; board.dy = 1;  break;
-                        case 'left':  board.dx = -1; board.dy = 0; break;
-                        case 'right': board.dx = 1; board.dy = 0;  break;
-                    }
+            // --- Replay Playback ---
+            socket.on('watchReplay', (data) => {
+                if (!data || typeof data.replayId !== 'string') {
+                    socket.emit('replayError', { message: 'Invalid replay request.' }); return;
                 }
+                streamReplay(socket, data.replayId);
+            });
+
+            socket.on('stopReplay', () => {
+                stopReplayPlayback(socket.id);
             });
 
             socket.on('requestRestart', () => {
-                if (!players[socket.id] || (!boards[1]?.isGameOver && !boards[2]?.isGameOver)) {
+                if (spectators[socket.id]) {
+                    socket.emit('spectatorActionRejected', { action: 'requestRestart', message: 'Spectators cannot restart matches.' }); return;
+                }
+                const match = getMatchForSocket(socket.id);
+                if (!players[socket.id] || !match || (!match.boards[1]?.isGameOver && !match.boards[2]?.isGameOver)) {
                     // Only allow restart if game is over for at least one player, or player is valid
                     return;
                 }
+                const { playerSockets, restartRequests } = match;
                 const playerInfo = players[socket.id];
-                console.log(`Player ${playerInfo.name} (Socket: ${socket.id}) requested restart.`);
+                console.log(`Player ${playerInfo.name} (Socket: ${socket.id}) requested restart in ${match.id}.`);
+                if (matchmakingQueue.length > 0 && isPublicHumanMatch(match)) {
+                    // Queued players get the next game instead of the same pair rematching
+                    socket.emit('restartDeniedQueue', { queueLength: matchmakingQueue.length, rotationMode: MATCH_ROTATION_MODE });
+                    if (!match.rotationTimeout) rotateMatchPlayers(match, getFinishedGameWinnerId(match));
+                    return;
+                }
                 restartRequests.add(playerInfo.playerId); // Store by playerId for consistency
 
                 socket.emit('restartRequestedByYou');
 
                 const opponentId = playerInfo.playerId === 1 ? 2 : 1;
                 const opponentSocketId = playerSockets[opponentId];
-                if (opponentSocketId && opponentSocketId !== 'ai_socket_id') { // Don't emit to AI
+                if (opponentSocketId && !isAiSocketId(opponentSocketId)) { // Don't emit to AI
                     io.to(opponentSocketId).emit('opponentRequestedRestart');
                 }
 
                 // Check if both *currently connected* players have requested
                 let p1Requested = playerSockets[1] ? restartRequests.has(1) : false;
                 // If P2 is AI, AI "agrees" immediately if P1 requests
-                let p2Requested = playerSockets[2] ? (playerSockets[2] === 'ai_socket_id' ? p1Requested : restartRequests.has(2)) : false;
+                let p2Requested = playerSockets[2] ? (isAiSocketId(playerSockets[2]) ? p1Requested : restartRequests.has(2)) : false;
 
 
                 if (playerSockets[1] && playerSockets[2] && p1Requested && p2Requested) {
-                    console.log("Both players (or Player 1 and AI) agreed to restart. Starting new game sequence.");
-                    io.emit('allPlayersReadyForRestart'); // Notify clients
+                    console.log(`[${match.id}] Both players (or Player 1 and AI) agreed to restart. Starting new game sequence.`);
+                    io.to(match.id).emit('allPlayersReadyForRestart'); // Notify clients
                     restartRequests.clear();
-                    initiateGameStartSequence(); // This will use existing player names, including AI if present
-                } else if (playerSockets[1] && playerSockets[2] === 'ai_socket_id' && p1Requested) {
+                    initiateGameStartSequence(match); // This will use existing player names, including AI if present
+                } else if (playerSockets[1] && isAiSocketId(playerSockets[2]) && p1Requested) {
                     // Special case: P1 requests, P2 is AI. AI auto-agrees.
-                    console.log("Player 1 requested restart, AI opponent auto-agrees. Starting new game sequence.");
-                    io.emit('allPlayersReadyForRestart');
+                    console.log(`[${match.id}] Player 1 requested restart, AI opponent auto-agrees. Starting new game sequence.`);
+                    io.to(match.id).emit('allPlayersReadyForRestart');
                     restartRequests.clear();
-                    initiateGameStartSequence();
+                    initiateGameStartSequence(match);
                 }
             });
 
+            socket.on('requestPause', () => {
+                if (spectators[socket.id]) {
+                    socket.emit('spectatorActionRejected', { action: 'requestPause', message: 'Spectators cannot pause matches.' }); return;
+                }
+                const match = getMatchForSocket(socket.id);
+                const playerInfo = players[socket.id];
+                if (!playerInfo || !match || !match.gameInterval || match.paused) {
+                    socket.emit('pauseRejected', { message: 'There is no running game to pause.' }); return;
+                }
+                const { playerId } = playerInfo;
+                if (match.pausesUsed[playerId] >= MAX_PAUSES_PER_GAME) {
+                    socket.emit('pauseRejected', { message: `You have used all ${MAX_PAUSES_PER_GAME} of your pauses this game.` }); return;
+                }
+                console.log(`Player ${playerInfo.name} (Socket: ${socket.id}) requested a pause in ${match.id}.`);
+                match.pauseRequests.add(playerId);
+                if (haveAllPlayersAgreed(match, match.pauseRequests)) {
+                    pauseGame(match);
+                    return;
+                }
+                socket.emit('pauseRequestedByYou');
+                io.to(match.playerSockets[playerId === 1 ? 2 : 1]).emit('opponentRequestedPause');
+            });
+
+            socket.on('requestResume', () => {
+                if (spectators[socket.id]) {
+                    socket.emit('spectatorActionRejected', { action: 'requestResume', message: 'Spectators cannot resume matches.' }); return;
+                }
+                const match = getMatchForSocket(socket.id);
+                const playerInfo = players[socket.id];
+                if (!playerInfo || !match || !match.paused || match.countdownInterval) return;
+                const { playerId } = playerInfo;
+                console.log(`Player ${playerInfo.name} (Socket: ${socket.id}) requested to resume ${match.id}.`);
+                match.resumeRequests.add(playerId);
+                if (haveAllPlayersAgreed(match, match.resumeRequests)) {
+                    resumeGame(match);
+                    return;
+                }
+                socket.emit('resumeRequestedByYou');
+                io.to(match.playerSockets[playerId === 1 ? 2 : 1]).emit('opponentRequestedResume');
+            });
+
+            // Players and spectators that missed a gameDelta get the snapshot the next delta builds on
+            socket.on('requestResync', () => {
+                const match = getMatchForSocket(socket.id) || matches[spectators[socket.id]];
+                if (!match || !match.lastGameState) return;
+                const now = Date.now();
+                if (socket.data.lastResyncAt && now - socket.data.lastResyncAt < RESYNC_MIN_INTERVAL_MS) return;
+                socket.data.lastResyncAt = now;
+                socket.emit('gameState', match.lastGameState);
+            });
+
+            // A player who lost their connection mid-game presents the resumeToken from their 'init'
+            socket.on('resumeSession', (data) => {
+                resumeHeldSeat(socket, data && data.resumeToken);
+            });
+
             socket.on('disconnect', () => {
                 console.log('User disconnected:', socket.id);
-                const disconnectedPlayerInfo = players[socket.id];
-                
-                if (disconnectedPlayerInfo) {
-                    const { playerId, name } = disconnectedPlayerInfo;
-                    const nameLower = name.toLowerCase();
-                    activePlayerNames.delete(nameLower); // Remove from active names
-                    console.log(`Player ${name} (ID: ${playerId}) disconnected. Active names: ${[...activePlayerNames].join(', ')}`);
-
-                    playerSockets[playerId] = null;
-                    if(boards[playerId]) boards[playerId].isGameOver = true;
-                    delete players[socket.id];
-                    restartRequests.delete(playerId);
-
-                    // Clear AI join timer if Player 1 disconnects -- REMOVED as aiJoinTimer is removed
-                    // if (playerId === 1 && aiJoinTimer) {
-                    //     clearTimeout(aiJoinTimer);
-                    //     aiJoinTimer = null;
-                    //     console.log("Player 1 disconnected, AI join timer cancelled.");
-                    // }
-
-                    const opponentId = playerId === 1 ? 2 : 1;
-                    const opponentSocketId = playerSockets[opponentId];
-
-                    if (gameActuallyRunning || countdownInterval) {
-                        clearAllIntervalsAndRequests();
-                        if (opponentSocketId) { // If opponent exists (human or AI)
-                            if (opponentSocketId === 'ai_socket_id') { // Disconnected player's opponent was AI
-                                console.log("Human player disconnected, AI opponent is being removed.");
-                                // Reset AI player state fully
-                                playerSockets[2] = null;
-                                delete players['ai_socket_id'];
-                                activePlayerNames.delete(AI_PLAYER_NAME.toLowerCase());
-                                boards[2] = createNewBoardState(2, 'Player 2'); // Reset board slot
-                                // No specific "gameOver" here as the game ends and AI is removed.
-                                // The remaining human player (if any, though P1 left here) would go to waiting.
-                                // If P1 disconnects and P2 is AI, game effectively ends.
-                                resetBoardStatesOnly(); // Full reset as game with AI cannot continue
-                            } else if (players[opponentSocketId]) { // Opponent is human
-                                if (boards[opponentId]) boards[opponentId].isGameOver = false;
-                                if (boards[playerId]) savePlayerScore(name, boards[playerId].score);
-                                if (boards[opponentId] && players[opponentSocketId]) savePlayerScore(players[opponentSocketId].name, boards[opponentId].score);
-                                io.emit('gameOver', { winnerId: opponentId, reason: 'opponentLeft' });
-                                io.to(opponentSocketId).emit('waiting');
-                            }
-                        } else { // No opponent or opponent also left (or was AI and now removed)
-                            resetBoardStatesOnly();
-                        }
-                    } else if (opponentSocketId) { // Not in active game, but opponent exists
-                        if (opponentSocketId === 'ai_socket_id') {
-                            // P1 disconnected while waiting for P2, and AI timer was running or AI created.
-                            // AI needs to be cleaned up.
-                            console.log("Player 1 disconnected while AI was pending/active (not in game). Cleaning up AI.");
-                            playerSockets[2] = null;
-                            delete players['ai_socket_id'];
-                            activePlayerNames.delete(AI_PLAYER_NAME.toLowerCase());
-                            boards[2] = createNewBoardState(2, 'Player 2');
-                        } else if (players[opponentSocketId]) { // Human opponent
-                            io.to(opponentSocketId).emit('opponentNameUpdate', { playerId, name: `Player ${playerId}` });
-                            io.to(opponentSocketId).emit('waiting');
-                        }
-                        if (boards[playerId]) boards[playerId] = createNewBoardState(playerId, `Player ${playerId}`);
-                    } else { // No game, no opponent
-                        resetBoardStatesOnly();
-                    }
-                    io.emit('gameState', getBoardsWithPlayerNames());
-                }
+                stopSpectating(socket);
+                leaveQueue(socket.id);
+                stopReplayPlayback(socket.id);
+                if (players[socket.id] && !socket.data.kicked && holdSeatForReconnect(socket.id)) return;
+                handlePlayerDeparture(socket.id);
             });
         });
 
@@ -598,6 +2243,8 @@ function initializeSocketIoHandlers() {
 })};
 
 async function startServer() {
+    const loadedBots = bots.loadBotsDirectory();
+    if (loadedBots.length > 0) console.log(`Loaded bots: ${loadedBots.join(', ')}`);
     await setupAsyncDependencies(); // Wait for DB and filter setup
     // Now that async dependencies are ready, set up Socket.IO handlers
     initializeSocketIoHandlers();
@@ -606,41 +2253,511 @@ async function startServer() {
     app.use(express.static(path.join(__dirname, 'public')));
     app.use(express.json());
 
+    // Best score per player. ?period=daily|weekly|monthly|all-time, ?limit=<1-100>&offset=<n>,
+    // ?mode=human|ai, ?preset=<rule preset or 'custom'>
     app.get('/api/leaderboard', async (req, res) => {
+        const { filters, error: filterError } = parseLeaderboardFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ message: filterError });
+        }
         try {
-            // Use Mongoose aggregation to get the highest score for each unique playerName
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
             const topScores = await Score.aggregate([
-                { $sort: { score: -1 } },
+                ...buildLeaderboardPipeline(filters),
+                { $skip: offset },
+                { $limit: limit },
+                LEADERBOARD_PROJECTION
+            ]);
+            res.json(topScores.map((entry, index) => ({ rank: offset + index + 1, ...entry })));
+        } catch (error) {
+            console.error("Error fetching leaderboard:", error);
+            res.status(500).json({ message: "Error fetching leaderboard data." });
+        }
+    });
+
+    // A player's rank on a leaderboard (same filters as above) plus ?neighbors=<0-10> entries either side
+    app.get('/api/leaderboard/rank/:playerName', async (req, res) => {
+        const { filters, error: filterError } = parseLeaderboardFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ message: filterError });
+        }
+        const neighborCount = Math.min(Math.max(parseInt(req.query.neighbors, 10) || 2, 0), 10);
+        const playerName = req.params.playerName.trim();
+        const nameLower = playerName.toLowerCase();
+        try {
+            const account = registeredPlayerNames.has(nameLower)
+                ? await Player.findOne({ usernameLower: nameLower }).select('_id').lean().exec()
+                : null;
+            const groupId = account ? { player: account._id, guestName: null } : { player: null, guestName: nameLower };
+            const pipeline = buildLeaderboardPipeline(filters);
+            const [entry] = await Score.aggregate([...pipeline, { $match: { _id: groupId } }]);
+            if (!entry) {
+                return res.status(404).json({ message: "Player has no score on this leaderboard." });
+            }
+            // Ahead of the player: better scores, and equal scores that were set earlier
+            const [{ ahead } = { ahead: 0 }] = await Score.aggregate([
+                ...pipeline,
                 {
-                    $group: {
-                        _id: "$playerName",
-                        highestScore: { $first: "$score" },
-                        timestamp: { $first: "$timestamp" }
+                    $match: {
+                        $or: [
+                            { highestScore: { $gt: entry.highestScore } },
+                            { highestScore: entry.highestScore, timestamp: { $lt: entry.timestamp } }
+                        ]
                     }
                 },
-                { $sort: { highestScore: -1 } },
-                { $limit: 10 },
-                {
-                    $project: {
-                        _id: 0,
-                        playerName: "$_id",
-                        score: "$highestScore",
-                        timestamp: "$timestamp"
+                { $count: 'ahead' }
+            ]);
+            const rank = ahead + 1;
+            const firstNeighborRank = Math.max(rank - neighborCount, 1);
+            const neighborhood = await Score.aggregate([
+                ...pipeline,
+                { $skip: firstNeighborRank - 1 },
+                { $limit: rank - firstNeighborRank + neighborCount + 1 },
+                LEADERBOARD_PROJECTION
+            ]);
+            const ranked = neighborhood.map((neighbor, index) => ({ rank: firstNeighborRank + index, ...neighbor }));
+            res.json({
+                playerName: entry.playerName,
+                rank,
+                score: entry.highestScore,
+                above: ranked.filter(neighbor => neighbor.rank < rank),
+                below: ranked.filter(neighbor => neighbor.rank > rank)
+            });
+        } catch (error) {
+            console.error("Error fetching leaderboard rank:", error);
+            res.status(500).json({ message: "Error fetching leaderboard rank." });
+        }
+    });
+
+    // --- Accounts ---
+    // register/login answer { token, expiresAt, player }; send the token as 'Authorization: Bearer <token>'
+    // to REST endpoints and as io({ auth: { token } }) to Socket.IO.
+    app.post('/api/auth/register', async (req, res) => {
+        const { username, password } = req.body || {};
+        const trimmedUsername = typeof username === 'string' ? username.trim() : '';
+        const usernameError = getNameFormatError(trimmedUsername) || getPasswordError(password);
+        if (usernameError) {
+            return res.status(400).json({ message: usernameError });
+        }
+        if (registeredPlayerNames.has(trimmedUsername.toLowerCase())) {
+            return res.status(409).json({ message: "That username is already taken." });
+        }
+        try {
+            const player = await new Player({
+                username: trimmedUsername,
+                usernameLower: trimmedUsername.toLowerCase(),
+                passwordHash: await hashPassword(password),
+                lastLoginAt: new Date()
+            }).save();
+            registeredPlayerNames.add(player.usernameLower);
+            const session = await createSession(player);
+            console.log(`Player account registered: ${player.username}`);
+            res.status(201).json({ ...session, player: toPlayerProfile(player) });
+        } catch (error) {
+            if (error.code === 11000) { // Unique index on usernameLower
+                return res.status(409).json({ message: "That username is already taken." });
+            }
+            console.error("Error registering player:", error);
+            res.status(500).json({ message: "Error registering player." });
+        }
+    });
+
+    app.post('/api/auth/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ message: "Username and password are required." });
+        }
+        try {
+            const player = await Player.findOne({ usernameLower: username.trim().toLowerCase() }).exec();
+            if (!player || !(await verifyPassword(password, player.passwordHash))) {
+                return res.status(401).json({ message: "Invalid username or password." });
+            }
+            player.lastLoginAt = new Date();
+            await player.save();
+            const session = await createSession(player);
+            res.json({ ...session, player: toPlayerProfile(player) });
+        } catch (error) {
+            console.error("Error logging in:", error);
+            res.status(500).json({ message: "Error logging in." });
+        }
+    });
+
+    app.post('/api/auth/logout', async (req, res) => {
+        const token = getBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ message: "Not logged in." });
+        }
+        try {
+            await Session.deleteOne({ tokenHash: hashSessionToken(token) }).exec();
+            res.status(204).end();
+        } catch (error) {
+            console.error("Error logging out:", error);
+            res.status(500).json({ message: "Error logging out." });
+        }
+    });
+
+    app.get('/api/players/me', async (req, res) => {
+        try {
+            const player = await findPlayerBySessionToken(getBearerToken(req));
+            if (!player) {
+                return res.status(401).json({ message: "Not logged in." });
+            }
+            res.json(toPlayerProfile(player));
+        } catch (error) {
+            console.error("Error fetching player profile:", error);
+            res.status(500).json({ message: "Error fetching player profile." });
+        }
+    });
+
+    // Registered players by rating, for players with at least one rated game. ?limit=<1-100>&offset=<n>
+    app.get('/api/ratings', async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const ratedPlayers = await Player.find({ $expr: { $gt: [{ $add: ["$wins", "$losses", "$draws"] }, 0] } })
+                                             .select('username rating wins losses draws')
+                                             .sort({ rating: -1, username: 1 })
+                                             .skip(offset)
+                                             .limit(limit)
+                                             .lean()
+                                             .exec();
+            res.json(ratedPlayers.map((player, index) => ({
+                rank: offset + index + 1,
+                username: player.username,
+                rating: player.rating,
+                wins: player.wins,
+                losses: player.losses,
+                draws: player.draws
+            })));
+        } catch (error) {
+            console.error("Error fetching ratings:", error);
+            res.status(500).json({ message: "Error fetching ratings." });
+        }
+    });
+
+    // Games of one player, newest first. Registered names resolve to the account;
+    // other names to guest games played under that name. ?limit=<1-50>
+    app.get('/api/players/:name/history', async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+            const { account, filter } = await getPlayerMatchFilter(req.params.name);
+            const history = await Match.find(filter)
+                                       .sort({ timestamp: -1 })
+                                       .limit(limit)
+                                       .lean()
+                                       .exec();
+            res.json({
+                player: account
+                    ? { name: account.username, registered: true, rating: account.rating, wins: account.wins, losses: account.losses, draws: account.draws }
+                    : { name: req.params.name.trim(), registered: false },
+                matches: history
+            });
+        } catch (error) {
+            console.error("Error fetching player history:", error);
+            res.status(500).json({ message: "Error fetching player history." });
+        }
+    });
+
+    // Finished games, newest first. Filters: ?player=<name>, ?vsAi=true|false, ?rated=true|false,
+    // ?reason=<end reason>, ?preset=<rule preset>, ?since=<date>&until=<date>; ?limit=<1-50>&offset=<n>
+    app.get('/api/matches', async (req, res) => {
+        const { filter, error: filterError } = parseMatchFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ message: filterError });
+        }
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            if (typeof req.query.player === 'string' && req.query.player.trim()) {
+                Object.assign(filter, (await getPlayerMatchFilter(req.query.player)).filter);
+            }
+            const [total, matchRecords] = await Promise.all([
+                Match.countDocuments(filter).exec(),
+                Match.find(filter).sort({ timestamp: -1 }).skip(offset).limit(limit).lean().exec()
+            ]);
+            res.json({ total, matches: matchRecords });
+        } catch (error) {
+            console.error("Error fetching matches:", error);
+            res.status(500).json({ message: "Error fetching matches." });
+        }
+    });
+
+    // Win rates, averages and causes of death over a player's games. Takes the same filters as /api/matches.
+    app.get('/api/players/:name/summary', async (req, res) => {
+        const { filter, error: filterError } = parseMatchFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ message: filterError });
+        }
+        try {
+            const { account, filter: playerFilter, entryFilter } = await getPlayerMatchFilter(req.params.name);
+            const pipeline = [{ $match: { ...filter, ...playerFilter } }, { $unwind: '$players' }, { $match: entryFilter }];
+            const isWin = { $eq: ['$winnerName', '$players.name'] };
+            const [rows, deathRows] = await Promise.all([
+                Match.aggregate([
+                    ...pipeline,
+                    {
+                        $group: {
+                            _id: '$vsAi',
+                            games: { $sum: 1 },
+                            wins: { $sum: { $cond: [isWin, 1, 0] } },
+                            draws: { $sum: { $cond: [{ $eq: ['$winnerName', null] }, 1, 0] } },
+                            totalScore: { $sum: '$players.score' },
+                            bestScore: { $max: '$players.score' },
+                            totalLength: { $sum: '$players.length' },
+                            foodEaten: { $sum: '$players.foodEaten' },
+                            debuffsSent: { $sum: '$players.debuffsSent' },
+                            debuffsReceived: { $sum: '$players.debuffsReceived' },
+                            totalTicks: { $sum: '$durationTicks' }
+                        }
                     }
-                }
+                ]),
+                Match.aggregate([
+                    ...pipeline,
+                    { $match: { 'players.deathReason': { $ne: null } } },
+                    { $group: { _id: '$players.deathReason', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ])
             ]);
-            res.json(topScores);
+            const findRow = vsAi => rows.find(row => !!row._id === vsAi);
+            res.json({
+                player: { name: account ? account.username : req.params.name.trim(), registered: !!account },
+                ...summarizeMatchRows(rows),
+                vsHuman: summarizeMatchRows([findRow(false)].filter(Boolean)),
+                vsAi: summarizeMatchRows([findRow(true)].filter(Boolean)),
+                deathReasons: Object.fromEntries(deathRows.map(row => [row._id, row.count]))
+            });
         } catch (error) {
-            console.error("Error fetching leaderboard:", error);
-            res.status(500).json({ message: "Error fetching leaderboard data." });
+            console.error("Error fetching player summary:", error);
+            res.status(500).json({ message: "Error fetching player summary." });
+        }
+    });
+
+    // Bot-vs-bot benchmark, see tournament.js. Body: { bots: [name, name], games, seed, rules }.
+    // Answers 202 right away; poll GET /api/admin/tournaments/:id for the results table.
+    app.post('/api/admin/tournaments', requireAdminToken, (req, res) => {
+        if (runningTournamentId) {
+            return res.status(409).json({ message: `Tournament ${runningTournamentId} is still running.` });
+        }
+        const { options, error } = tournament.resolveTournamentOptions(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        const run = startTournamentRun(options);
+        res.status(202).json({ id: run.id, status: run.status });
+    });
+
+    app.get('/api/admin/tournaments', requireAdminToken, (req, res) => {
+        res.json(Object.values(tournamentRuns).map(({ id, status, request, results, error }) => ({
+            id, status, bots: request.bots, games: request.games, table: results ? results.table : null, error
+        })));
+    });
+
+    app.get('/api/admin/tournaments/:id', requireAdminToken, (req, res) => {
+        const run = tournamentRuns[req.params.id];
+        if (!run) {
+            return res.status(404).json({ message: "Tournament not found." });
+        }
+        res.json(run);
+    });
+
+    // --- Live server management (all need the x-admin-token header) ---
+    // Every connected socket, plus the players entries (AI seats and seats held for a reconnect included)
+    app.get('/api/admin/sockets', requireAdminToken, (req, res) => {
+        const sockets = [...io.sockets.sockets.values()].map(socket => ({
+            id: socket.id,
+            address: socket.handshake.address,
+            fingerprint: getSocketFingerprint(socket),
+            connectedAt: new Date(socket.handshake.time),
+            account: socket.data.account ? socket.data.account.username : null,
+            ...describeSocketRole(socket.id)
+        }));
+        res.json({
+            sockets,
+            players: Object.keys(players).map(describeSeatedPlayer),
+            activePlayerNames: [...activePlayerNames],
+            queue: matchmakingQueue.map(({ socketId, name }, index) => ({ position: index + 1, socketId, name }))
+        });
+    });
+
+    app.get('/api/admin/matches', requireAdminToken, (req, res) => {
+        res.json(Object.values(matches).map(match => describeLiveMatch(match)));
+    });
+
+    app.get('/api/admin/matches/:id', requireAdminToken, (req, res) => {
+        const match = getMatchById(req.params.id);
+        if (!match) {
+            return res.status(404).json({ message: "Match not found." });
+        }
+        res.json(describeLiveMatch(match, true));
+    });
+
+    // Ends the game in progress without a result
+    app.post('/api/admin/matches/:id/end', requireAdminToken, (req, res) => {
+        const match = getMatchById(req.params.id);
+        if (!match) {
+            return res.status(404).json({ message: "Match not found." });
+        }
+        if (!forceEndMatch(match)) {
+            return res.status(409).json({ message: "No game is in progress in this match." });
+        }
+        res.json(describeLiveMatch(match));
+    });
+
+    // Starts a new game with the seated players, dropping the one in progress
+    app.post('/api/admin/matches/:id/restart', requireAdminToken, (req, res) => {
+        const match = getMatchById(req.params.id);
+        if (!match) {
+            return res.status(404).json({ message: "Match not found." });
+        }
+        if (!restartMatch(match)) {
+            return res.status(409).json({ message: "Both seats must be taken to restart." });
+        }
+        res.json(describeLiveMatch(match));
+    });
+
+    app.post('/api/admin/players/:name/kick', requireAdminToken, (req, res) => {
+        const result = kickPlayerByName(req.params.name);
+        if (!result) {
+            return res.status(404).json({ message: "No connected player by that name." });
+        }
+        res.json(result);
+    });
+
+    app.delete('/api/admin/scores/:id', requireAdminToken, async (req, res) => {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: "Invalid score id." });
+        }
+        try {
+            const score = await Score.findByIdAndDelete(req.params.id).lean().exec();
+            if (!score) return res.status(404).json({ message: "Score not found." });
+            console.log(`Admin deleted score ${score._id} (${score.playerName}: ${score.score}).`);
+            res.json({ deleted: 1, score });
+        } catch (error) {
+            console.error("Error deleting score:", error);
+            res.status(500).json({ message: "Error deleting score." });
+        }
+    });
+
+    // Deletes a player's scores: ?player=<name>, optionally only those of at least ?minScore=<n>
+    app.delete('/api/admin/scores', requireAdminToken, async (req, res) => {
+        const playerName = typeof req.query.player === 'string' ? req.query.player.trim() : '';
+        if (!playerName) {
+            return res.status(400).json({ message: "Pass ?player=<name>." });
+        }
+        const filter = { playerName };
+        if (req.query.minScore !== undefined) {
+            const minScore = Number(req.query.minScore);
+            if (!Number.isFinite(minScore) || minScore < 0) {
+                return res.status(400).json({ message: "minScore must be a number of at least 0." });
+            }
+            filter.score = { $gte: minScore };
+        }
+        try {
+            const { deletedCount } = await Score.deleteMany(filter).exec();
+            console.log(`Admin deleted ${deletedCount} score(s) of ${playerName}.`);
+            res.json({ deleted: deletedCount });
+        } catch (error) {
+            console.error("Error deleting scores:", error);
+            res.status(500).json({ message: "Error deleting scores." });
+        }
+    });
+
+    // Moderation rules in force, see moderation.js
+    app.get('/api/admin/moderation', requireAdminToken, (req, res) => {
+        res.json(moderation.listRules());
+    });
+
+    // Body: { kind, value, reason, expiresInMinutes }. Adding a rule that exists replaces it. Players the
+    // rule shuts out are disconnected right away.
+    app.post('/api/admin/moderation', requireAdminToken, async (req, res) => {
+        const { rule, error } = moderation.resolveRule(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        try {
+            await ModerationRule.findOneAndUpdate(
+                { kind: rule.kind, value: rule.value },
+                { $set: { reason: rule.reason, expiresAt: rule.expiresAt }, $setOnInsert: { createdAt: new Date() } },
+                { upsert: true }
+            ).exec();
+            moderation.addRule(rule);
+            const disconnected = enforceModerationRule(rule);
+            console.log(`Moderation rule added: ${rule.kind} "${rule.value}" (disconnected ${disconnected}).`);
+            res.status(201).json({ rule, disconnected });
+        } catch (error) {
+            console.error("Error saving moderation rule:", error);
+            res.status(500).json({ message: "Error saving moderation rule." });
+        }
+    });
+
+    app.delete('/api/admin/moderation/:kind/:value', requireAdminToken, async (req, res) => {
+        const { kind, value } = req.params;
+        if (!moderation.RULE_KINDS.includes(kind)) {
+            return res.status(400).json({ message: `Unknown rule kind "${kind}".` });
+        }
+        try {
+            const { deletedCount } = await ModerationRule.deleteOne({ kind, value: moderation.normalizeRuleValue(kind, value) }).exec();
+            const rule = moderation.removeRule(kind, value);
+            if (!rule && deletedCount === 0) return res.status(404).json({ message: "Moderation rule not found." });
+            console.log(`Moderation rule removed: ${kind} "${value}".`);
+            res.json({ kind, value: moderation.normalizeRuleValue(kind, value) });
+        } catch (error) {
+            console.error("Error removing moderation rule:", error);
+            res.status(500).json({ message: "Error removing moderation rule." });
+        }
+    });
+
+    // Every achievement and cosmetic; join requests pick cosmetics as { cosmetics: { color, headStyle } }
+    app.get('/api/achievements', (req, res) => {
+        res.json({ achievements: achievements.listAchievements(), cosmetics: achievements.listCosmetics() });
+    });
+
+    // Bots that requestAiGame accepts as { bot: name }
+    app.get('/api/bots', (req, res) => {
+        res.json(bots.listBots());
+    });
+
+    // Replay summaries, newest first. Optional ?player=<name> and ?limit=<1-50>.
+    app.get('/api/replays', async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+            const filter = {};
+            if (typeof req.query.player === 'string' && req.query.player.trim()) {
+                filter['players.name'] = req.query.player.trim();
+            }
+            const replays = await Replay.find(filter)
+                                        .select('-frames -inputs')
+                                        .sort({ timestamp: -1 })
+                                        .limit(limit)
+                                        .lean()
+                                        .exec();
+            res.json(replays);
+        } catch (error) {
+            console.error("Error fetching replays:", error);
+            res.status(500).json({ message: "Error fetching replays." });
+        }
+    });
+
+    app.get('/api/replays/:id', async (req, res) => {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: "Invalid replay id." });
+        }
+        try {
+            const replay = await Replay.findById(req.params.id).lean().exec();
+            if (!replay) return res.status(404).json({ message: "Replay not found." });
+            res.json(replay);
+        } catch (error) {
+            console.error("Error fetching replay:", error);
+            res.status(500).json({ message: "Error fetching replay." });
         }
     });
 }
 
 server.listen(PORT, () => {
+    setInterval(measurePlayerLatencies, LATENCY_PING_INTERVAL_MS);
     console.log(`Server listening on port ${PORT}`);
-    resetBoardStatesOnly(); // Initial reset to create default board structures
-    console.log("Server ready. Initial board states created.");
+    console.log("Server ready. Matches are created on demand as players join.");
 });
 
 startServer().catch(err => {
@@ -650,355 +2767,377 @@ startServer().catch(err => {
 
     
 
-async function savePlayerScore(playerName, score) {
+// accountId links the score to a registered Player; guests pass null and are tracked by name.
+// Every game's score is kept (not just personal bests) so leaderboards can be cut by period, mode and preset.
+async function savePlayerScore(playerName, score, accountId = null, { mode = 'human', rules = DEFAULT_RULES } = {}) {
     if (!playerName || typeof score !== 'number' || score < 0) {
         console.warn(`Not saving score for ${playerName} with score ${score} (invalid name/score).`);
         return;
     }
 
     try {
-        // Find the existing high score for this player
-        const existingHighScore = await Score.findOne({ playerName: playerName })
-                                             .sort({ score: -1 }) // Sort by score descending
-                                             .exec();
-
-        if (existingHighScore) {
-            // A score exists, check if the new score is higher
-            if (score > existingHighScore.score) {
-                // New score is higher, save it as a new entry
-                const newScoreEntry = new Score({ playerName, score });
-                await newScoreEntry.save();
-                console.log(`New high score saved for ${playerName}: ${score}`);
-            } else {
-                // New score is not higher, do not save
-                console.log(`Score for ${playerName} (${score}) is not higher than existing high score (${existingHighScore.score}). Not saving.`);
-            }
-        } else {
-            // No existing score found for this player, save the new score
-            const newScoreEntry = new Score({ playerName, score });
-            await newScoreEntry.save();
-            console.log(`First score saved for ${playerName}: ${score}`);
+        if (accountId) {
+            await Player.updateOne({ _id: accountId }, { $inc: { gamesPlayed: 1 }, $max: { bestScore: score } }).exec();
         }
+        const newScoreEntry = new Score({ playerName, player: accountId, score, mode, rulePreset: engine.getRulePresetName(rules) });
+        await newScoreEntry.save();
+        console.log(`Score saved for ${playerName}: ${score} (${mode}, ${newScoreEntry.rulePreset})`);
     } catch (error) {
         console.error(`Error in savePlayerScore for ${playerName}:`, error.message);
     }
 }
 
-function updateGameTick() {
-    if (!gameActuallyRunning || !playerSockets[1] || !players[playerSockets[1]] || !playerSockets[2] || !players[playerSockets[2]]) {
-        if(gameActuallyRunning) {
-            console.warn("Game tick: Inconsistent state - game set as running but players missing. Stopping.");
-            clearAllIntervalsAndRequests();
+function applyEngineState(match, state) {
+    match.tick = state.tick;
+    match.boards = state.boards;
+    match.arena = state.arena;
+    match.rngStates = state.rngStates;
+}
+
+function updateGameTick(match) {
+    const { boards, playerSockets } = match;
+    if (!match.gameActuallyRunning || !playerSockets[1] || !players[playerSockets[1]] || !playerSockets[2] || !players[playerSockets[2]]) {
+        if(match.gameActuallyRunning) {
+            console.warn(`[${match.id}] Game tick: Inconsistent state - game set as running but players missing. Stopping.`);
+            clearAllIntervalsAndRequests(match);
             if (playerSockets[1] && players[playerSockets[1]]) io.to(playerSockets[1]).emit('waiting');
             const p2Info = players[playerSockets[2]];
             if (p2Info && !p2Info.isAi) {
                  io.to(playerSockets[2]).emit('waiting');
             }
-            resetBoardStatesOnly(true);
-            io.emit('gameState', getBoardsWithPlayerNames());
+            resetBoardStatesOnly(match, true);
+            broadcastGameState(match);
         }
         return;
     }
 
+    const inputs = { 1: match.inputQueues[1].shift() || null, 2: match.inputQueues[2].shift() || null };
     const player2Object = players[playerSockets[2]];
-    if (player2Object?.isAi && boards[2] && !boards[2].isGameOver) {
-        const aiMove = getAiNextMove(boards[2], boards[1]);
-        if (aiMove) {
-            boards[2].direction = aiMove;
-            switch (aiMove) {
-                case 'up':    boards[2].dx = 0; boards[2].dy = -1; break;
-                case 'down':  boards[2].dx = 0; boards[2].dy = 1;  break;
-                case 'left':  boards[2].dx = -1; boards[2].dy = 0; break;
-                case 'right': boards[2].dx = 1; boards[2].dy = 0;  break;
-            }
+    if (player2Object?.isAi && match.aiController && boards[2] && !boards[2].isGameOver) {
+        inputs[2] = match.aiController.chooseMove({ tick: match.tick, rules: match.rules, boards, arena: match.arena }, 2);
+    }
+
+    const stateBefore = { tick: match.tick, rules: match.rules, boards, arena: match.arena, rngStates: match.rngStates };
+    const { state, events } = engine.step(stateBefore, inputs);
+    rememberTick(match, stateBefore, inputs, events);
+    applyEngineState(match, state);
+    countGameStats(match, events, state.boards);
+
+    notifyTickEvents(match, events);
+    let gameOverEvent = null;
+    events.forEach(event => {
+        if (event.type === 'directionChanged') recordReplayInput(match, event.playerId, event.direction);
+        else if (event.type === 'gameOver') gameOverEvent = event;
+    });
+
+    recordReplayFrame(match);
+    if (gameOverEvent) {
+        const currentBoardsWithNames = getBoardsWithPlayerNames(match);
+        clearAllIntervalsAndRequests(match);
+        match.gameActuallyRunning = false;
+        const p1 = match.boards[1];
+        const p2 = match.boards[2];
+        const { winnerId, reason: endReason } = gameOverEvent;
+        console.log(`[${match.id}] Game Over! Winner: ${winnerId === 0 ? "Draw" : (currentBoardsWithNames[winnerId]?.playerName || `Player ${winnerId}`)}`);
+        const player2InfoObject = players[playerSockets[2]]; // Renamed to avoid conflict
+        const scoreDetails = { mode: player2InfoObject?.isAi ? 'ai' : 'human', rules: match.rules };
+        if (playerSockets[1] && players[playerSockets[1]] && p1) {
+            savePlayerScore(players[playerSockets[1]].name, p1.score, players[playerSockets[1]].accountId, scoreDetails);
+        }
+        if (player2InfoObject && !player2InfoObject.isAi && p2) {
+            savePlayerScore(player2InfoObject.name, p2.score, player2InfoObject.accountId, scoreDetails);
         }
+        saveMatchReplay(match, winnerId, endReason);
+        if (player2InfoObject && players[playerSockets[1]]) {
+            recordMatchResult(match, { 1: getMatchParticipant(match, 1), 2: getMatchParticipant(match, 2) }, winnerId, getMatchEndReason(match, winnerId, endReason));
+        }
+        io.to(match.id).emit('gameOver', { winnerId: winnerId, reason: endReason, seed: match.seed });
+        scheduleMatchRotation(match, winnerId);
     }
+    broadcastGameDelta(match);
+}
 
-    let gameShouldEnd = false;
-    [1, 2].forEach(playerId => {
-        if (!boards[playerId] || boards[playerId].isGameOver) return;
-        const board = boards[playerId];
-        const currentHead = { ...board.snake[0] };
-        const nextHead = { x: currentHead.x + board.dx, y: currentHead.y + board.dy };
-
-        if (nextHead.x < 0 || nextHead.x >= GRID_SIZE || nextHead.y < 0 || nextHead.y >= GRID_SIZE) {
-            board.isGameOver = true; gameShouldEnd = true;
-            const playerSocketId = playerSockets[playerId];
-            const pInfo = players[playerSocketId];
-            if (pInfo && !pInfo.isAi) {
-                io.to(playerSocketId).emit('gameOver', { winnerId: playerId === 1 ? 2 : 1, reason: 'wallCollision' });
-            } else if (pInfo?.isAi) {
-                if(playerSockets[1] && players[playerSockets[1]]) {
-                    io.to(playerSockets[1]).emit('gameOver', { winnerId: 1, reason: 'opponentWallCollision' });
-                }
-            }
-            return;
+// --- Ratings & Match Records ---
+// Elo: each rated game moves both ratings by K * (actual result - expected result).
+function calculateEloRatings(ratingA, ratingB, resultA) { // resultA: 1 win, 0.5 draw, 0 loss
+    const expectedA = 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+    const change = ELO_K_FACTOR * (resultA - expectedA);
+    return { a: Math.round(ratingA + change), b: Math.round(ratingB - change) };
+}
+
+// Sounds and collision/power-up messages for one tick's engine events
+function notifyTickEvents(match, events) {
+    events.forEach(event => {
+        switch (event.type) {
+            case 'collision':
+                notifyCollision(match, event.playerId, event.reason);
+                break;
+            case 'ateFood':
+                emitPlayerSound(match, event.playerId, 'eatFood');
+                break;
+            case 'debuffHit':
+                emitPlayerSound(match, event.playerId, 'debuff');
+                break;
+            case 'powerupCollected':
+                emitPlayerSound(match, event.playerId, 'powerup');
+                io.to(match.id).emit('powerupCollected', { playerId: event.playerId, powerup: event.powerup });
+                break;
         }
-        for (let i = 0; i < board.snake.length; i++) {
-            if (nextHead.x === board.snake[i].x && nextHead.y === board.snake[i].y) {
-                board.isGameOver = true; gameShouldEnd = true;
-                const playerSocketId = playerSockets[playerId];
-                const pInfo = players[playerSocketId];
-                if (pInfo && !pInfo.isAi) {
-                    io.to(playerSocketId).emit('gameOver', { winnerId: playerId === 1 ? 2 : 1, reason: 'selfCollision' });
-                } else if (pInfo?.isAi) {
-                     if(playerSockets[1] && players[playerSockets[1]]) {
-                        io.to(playerSockets[1]).emit('gameOver', { winnerId: 1, reason: 'opponentSelfCollision' });
-                    }
-                }
-                return;
-            }
+    });
+}
+
+// Adds one tick's events to the per-player counters of the Match record
+function countGameStats(match, events, boardsAfter) {
+    events.forEach(event => {
+        const stats = match.gameStats[event.playerId];
+        if (event.type === 'collision') stats.deathReason = event.reason;
+        else if (event.type === 'debuffSent') stats.debuffsSent++;
+        else if (event.type === 'debuffHit') stats.debuffsReceived++;
+        else if (event.type === 'ateFood') {
+            stats.foodEaten++;
+            stats.longestLength = Math.max(stats.longestLength, boardsAfter[event.playerId].snake.length);
         }
+    });
+}
 
-        let ateFood = false;
-        let justShrunkByDebuff = false;
-        if (nextHead.x === board.food.x && nextHead.y === board.food.y) {
-            ateFood = true;
-            board.score += 10;
-            board.foodEatenCounter++;
-            board.food = getRandomPosition([...board.snake, board.food, ...(board.debuffs || []), ...(board.powerups || [])]);
-            const playerSocketId = playerSockets[playerId];
-            const pInfo = players[playerSocketId];
-            if (pInfo && !pInfo.isAi) {
-                io.to(playerSocketId).emit('playSound', 'eatFood');
-            } else if (pInfo?.isAi) {
-                 if(playerSockets[1] && players[playerSockets[1]]) {
-                    io.to(playerSockets[1]).emit('playSound', 'eatFood');
-                 }
-            }
-            if (board.foodEatenCounter >= DEBUFF_TRIGGER_COUNT) {
-                board.foodEatenCounter = 0;
-                const opponentId = playerId === 1 ? 2 : 1;
-                const opponentBoard = boards[opponentId];
-                if (opponentBoard && !opponentBoard.isGameOver) {
-                    opponentBoard.debuffs.push(getRandomPosition([...opponentBoard.snake, opponentBoard.food, ...(opponentBoard.debuffs || []), ...(opponentBoard.powerups || [])]));
-                }
-            }
+function copyGameStats(gameStats) {
+    return { 1: { ...gameStats[1] }, 2: { ...gameStats[2] }, startedAt: gameStats.startedAt };
+}
+
+function createGameStats() {
+    const createCounters = () => ({ foodEaten: 0, debuffsSent: 0, debuffsReceived: 0, longestLength: 0, deathReason: null });
+    return { 1: createCounters(), 2: createCounters(), startedAt: new Date() };
+}
+
+// Snapshot of one player's end-of-game stats. playerInfo defaults to the player still in the seat;
+// disconnect passes the leaver's entry, which is already gone from players.
+function getMatchParticipant(match, playerId, playerInfo = players[match.playerSockets[playerId]]) {
+    const board = match.boards[playerId];
+    const stats = match.gameStats ? match.gameStats[playerId] : createGameStats()[playerId];
+    return {
+        name: playerInfo ? playerInfo.name : `Player ${playerId}`,
+        accountId: playerInfo ? playerInfo.accountId || null : null,
+        isAi: !!(playerInfo && playerInfo.isAi),
+        score: board ? board.score : 0,
+        length: board ? board.snake.length : 0,
+        longestLength: Math.max(stats.longestLength, board ? board.snake.length : 0),
+        foodEaten: stats.foodEaten,
+        debuffsSent: stats.debuffsSent,
+        debuffsReceived: stats.debuffsReceived,
+        deathReason: stats.deathReason
+    };
+}
+
+// The engine ends games with 'collision' or 'draw'; the record names the collision that decided it.
+function getMatchEndReason(match, winnerId, engineReason) {
+    if (winnerId === 0 || !match.gameStats) return engineReason;
+    const loserId = winnerId === 1 ? 2 : 1;
+    return match.gameStats[loserId].deathReason || engineReason;
+}
+
+// Stores the Match record of a finished game and, when both players are registered, updates their
+// ratings and tells them. participants: { 1: getMatchParticipant(), 2: getMatchParticipant() }.
+async function recordMatchResult(match, participants, winnerId, reason) {
+    // Read everything off the match now: the next game may reset it while we wait on the database
+    const gameDetails = {
+        matchId: match.id,
+        vsAi: participants[1].isAi || participants[2].isAi,
+        aiBot: match.aiBotName,
+        rulePreset: engine.getRulePresetName(match.rules),
+        seed: match.seed,
+        durationTicks: match.tick,
+        startedAt: match.gameStats ? match.gameStats.startedAt : null
+    };
+    try {
+        const ratingsBefore = { 1: null, 2: null };
+        const ratingsAfter = { 1: null, 2: null };
+        const rated = !!(participants[1].accountId && participants[2].accountId);
+        if (rated) {
+            const [account1, account2] = await Promise.all([
+                Player.findById(participants[1].accountId).exec(),
+                Player.findById(participants[2].accountId).exec()
+            ]);
+            if (!account1 || !account2) throw new Error('Player account not found.');
+            ratingsBefore[1] = account1.rating || DEFAULT_RATING;
+            ratingsBefore[2] = account2.rating || DEFAULT_RATING;
+            const result1 = winnerId === 0 ? 0.5 : (winnerId === 1 ? 1 : 0);
+            const { a, b } = calculateEloRatings(ratingsBefore[1], ratingsBefore[2], result1);
+            ratingsAfter[1] = a;
+            ratingsAfter[2] = b;
+            await Promise.all([1, 2].map(playerId => {
+                const outcome = winnerId === 0 ? 'draws' : (winnerId === playerId ? 'wins' : 'losses');
+                return Player.updateOne(
+                    { _id: participants[playerId].accountId },
+                    { $set: { rating: ratingsAfter[playerId] }, $inc: { [outcome]: 1 } }
+                ).exec();
+            }));
         }
 
-        const eatenDebuffIndex = board.debuffs.findIndex(d => d.x === nextHead.x && d.y === nextHead.y);
-        if (eatenDebuffIndex !== -1) {
-            board.debuffs.splice(eatenDebuffIndex, 1);
-            board.score = Math.max(0, board.score - 5);
-            let segmentsToRemove = DEBUFF_SHRINK_AMOUNT;
-            while (segmentsToRemove > 0 && board.snake.length > MIN_SNAKE_LENGTH) {
-                board.snake.pop();
-                segmentsToRemove--;
-            }
-            justShrunkByDebuff = true;
-            const playerSocketId = playerSockets[playerId];
-            const pInfo = players[playerSocketId];
-            if (pInfo && !pInfo.isAi) {
-                io.to(playerSocketId).emit('playSound', 'debuff'); // Corrected sound name
-            } else if (pInfo?.isAi) {
-                if(playerSockets[1] && players[playerSockets[1]]) {
-                    io.to(playerSockets[1]).emit('playSound', 'debuff'); // Corrected sound name for P1
+        const loserId = winnerId === 0 ? null : (winnerId === 1 ? 2 : 1);
+        await new Match({
+            ...gameDetails,
+            players: [1, 2].map(playerId => ({
+                playerId,
+                name: participants[playerId].name,
+                player: participants[playerId].accountId || null,
+                isAi: participants[playerId].isAi,
+                score: participants[playerId].score,
+                length: participants[playerId].length,
+                longestLength: participants[playerId].longestLength,
+                foodEaten: participants[playerId].foodEaten,
+                debuffsSent: participants[playerId].debuffsSent,
+                debuffsReceived: participants[playerId].debuffsReceived,
+                deathReason: participants[playerId].deathReason,
+                ratingBefore: ratingsBefore[playerId],
+                ratingAfter: ratingsAfter[playerId]
+            })),
+            winnerName: winnerId === 0 ? null : participants[winnerId].name,
+            loserName: loserId ? participants[loserId].name : null,
+            reason,
+            rated
+        }).save();
+        awardAchievements(match, participants, winnerId, reason, gameDetails);
+
+        if (rated) {
+            console.log(`[${match.id}] Ratings: ${participants[1].name} ${ratingsBefore[1]} -> ${ratingsAfter[1]}, ${participants[2].name} ${ratingsBefore[2]} -> ${ratingsAfter[2]}`);
+            [1, 2].forEach(playerId => {
+                const socketId = match.playerSockets[playerId];
+                if (socketId && players[socketId] && players[socketId].accountId === participants[playerId].accountId) {
+                    io.to(socketId).emit('ratingUpdate', { rating: ratingsAfter[playerId], change: ratingsAfter[playerId] - ratingsBefore[playerId] });
                 }
-            }
+            });
         }
+    } catch (error) {
+        console.error(`[${match.id}] Error recording match result:`, error.message);
+    }
+}
 
-        board.snake.unshift(nextHead);
-        if (!ateFood && !justShrunkByDebuff) {
-            if (board.snake.length > MIN_SNAKE_LENGTH) {
-                 board.snake.pop();
-            } else if (board.snake.length > 1 && board.score === 0) {
-                 board.snake.pop();
+// Unlocks the achievements a finished game earned its registered players and tells every socket of
+// the account, so the new cosmetics can be picked right away.
+async function awardAchievements(match, participants, winnerId, reason, gameDetails) {
+    for (const playerId of [1, 2]) {
+        const participant = participants[playerId];
+        if (!participant.accountId || participant.isAi) continue;
+        const opponentId = playerId === 1 ? 2 : 1;
+        const earnedIds = achievements.evaluateAchievements({
+            won: winnerId === playerId,
+            draw: winnerId === 0,
+            reason,
+            vsAi: gameDetails.vsAi,
+            aiBot: participants[opponentId].isAi ? gameDetails.aiBot : null,
+            durationTicks: gameDetails.durationTicks,
+            you: participant,
+            opponent: participants[opponentId]
+        });
+        for (const achievementId of earnedIds) {
+            try {
+                // The filter makes the unlock happen once even if two games finish at the same moment
+                const result = await Player.updateOne(
+                    { _id: participant.accountId, 'achievements.achievementId': { $ne: achievementId } },
+                    { $push: { achievements: { achievementId, unlockedAt: new Date() } } }
+                ).exec();
+                if (!result.modifiedCount) continue;
+                console.log(`[${match.id}] ${participant.name} unlocked achievement ${achievementId}.`);
+                const achievement = achievements.describeAchievement(achievementId);
+                io.sockets.sockets.forEach(accountSocket => {
+                    const account = accountSocket.data.account;
+                    if (!account || account.id !== String(participant.accountId)) return;
+                    if (!account.achievements.includes(achievementId)) account.achievements.push(achievementId);
+                    accountSocket.emit('achievementUnlocked', { achievement });
+                });
+            } catch (error) {
+                console.error(`[${match.id}] Error unlocking achievement ${achievementId} for ${participant.name}:`, error.message);
             }
-        } else if (justShrunkByDebuff && board.snake.length === 0) {
-            board.isGameOver = true; gameShouldEnd = true;
-        }
-        if (board.snake.length === 0) {
-            board.isGameOver = true; gameShouldEnd = true;
-        }
-    });
-
-    const currentBoardsWithNames = getBoardsWithPlayerNames();
-    if (gameShouldEnd || (boards[1]?.isGameOver) || (boards[2]?.isGameOver)) {
-        clearAllIntervalsAndRequests();
-        gameActuallyRunning = false;
-        const p1 = boards[1];
-        const p2 = boards[2];
-        let winnerId = null;
-        if (p1?.isGameOver && p2?.isGameOver) winnerId = 0;
-        else if (p1?.isGameOver) winnerId = 2;
-        else if (p2?.isGameOver) winnerId = 1;
-        else { winnerId = 0; }
-        console.log(`Game Over! Winner: ${winnerId === 0 ? "Draw" : (currentBoardsWithNames[winnerId]?.playerName || `Player ${winnerId}`)}`);
-        if (playerSockets[1] && players[playerSockets[1]] && p1) {
-            savePlayerScore(players[playerSockets[1]].name, p1.score);
         }
-        const player2InfoObject = players[playerSockets[2]]; // Renamed to avoid conflict
-        if (player2InfoObject && !player2InfoObject.isAi && p2) {
-            savePlayerScore(player2InfoObject.name, p2.score);
+    }
+}
+
+// --- Engine Event Mapping ---
+// Sounds go to the human who triggered them; when the AI triggers one, Player 1 hears it instead.
+function emitPlayerSound(match, playerId, sound) {
+    const { playerSockets } = match;
+    const playerSocketId = playerSockets[playerId];
+    const pInfo = players[playerSocketId];
+    if (pInfo && !pInfo.isAi) {
+        io.to(playerSocketId).emit('playSound', sound);
+    } else if (pInfo?.isAi) {
+        if(playerSockets[1] && players[playerSockets[1]]) {
+            io.to(playerSockets[1]).emit('playSound', sound);
+        }
+    }
+}
+
+const OPPONENT_COLLISION_REASONS = {
+    wallCollision: 'opponentWallCollision',
+    selfCollision: 'opponentSelfCollision',
+    bodyCollision: 'opponentBodyCollision', // Shared arena: ran into the other snake
+    headOnCollision: 'opponentHeadOnCollision'
+};
+
+// reason is one of the OPPONENT_COLLISION_REASONS keys; Player 1 of an AI game hears about the AI's crash as opponent*.
+function notifyCollision(match, playerId, reason) {
+    const { playerSockets } = match;
+    const playerSocketId = playerSockets[playerId];
+    const pInfo = players[playerSocketId];
+    if (pInfo && !pInfo.isAi) {
+        io.to(playerSocketId).emit('gameOver', { winnerId: playerId === 1 ? 2 : 1, reason, seed: match.seed });
+    } else if (pInfo?.isAi) {
+        if(playerSockets[1] && players[playerSockets[1]]) {
+            const opponentReason = OPPONENT_COLLISION_REASONS[reason] || 'opponentSelfCollision';
+            io.to(playerSockets[1]).emit('gameOver', { winnerId: 1, reason: opponentReason, seed: match.seed });
         }
-        io.emit('gameOver', { winnerId: winnerId, reason: (p1?.isGameOver && p2?.isGameOver) ? 'draw' : 'collision' });
     }
-    io.emit('gameState', currentBoardsWithNames);
 }
 // --- AI Player Functions ---
-function createAiPlayer() {
+// botName: a registered bot, see bots.listBots(); the built-in difficulty levels are bots too.
+function createAiPlayer(match, botName = ai.DEFAULT_DIFFICULTY) {
+    const { boards, playerSockets } = match;
     if (playerSockets[2]) { // Should not happen if logic is correct
-        console.warn("Attempted to create AI player when Player 2 slot is already taken.");
+        console.warn(`[${match.id}] Attempted to create AI player when Player 2 slot is already taken.`);
         return;
     }
-    console.log("Creating AI Player...");
+    console.log(`[${match.id}] Creating AI Player...`);
 
-    playerSockets[2] = 'ai_socket_id'; // Special ID for AI
-    players['ai_socket_id'] = {
+    const aiSocketId = getAiSocketId(match); // Special ID for AI, unique per match
+    playerSockets[2] = aiSocketId;
+    players[aiSocketId] = {
         playerId: 2,
-        color: 'cyan', // AI distinct color
+        color: 'cyan', // AI distinct color, not in achievements.COSMETICS so no human can pick it
+        headStyle: achievements.DEFAULT_HEAD_STYLE,
         name: AI_PLAYER_NAME,
-        socketId: 'ai_socket_id',
+        socketId: aiSocketId,
+        matchId: match.id,
         isAi: true
     };
-    activePlayerNames.add(AI_PLAYER_NAME.toLowerCase());
+    // The AI name is not added to activePlayerNames: every AI game has its own "AI Snake".
+    match.aiBotName = botName;
 
-    boards[2] = createNewBoardState(2, AI_PLAYER_NAME);
-    boards[2].color = players['ai_socket_id'].color;
+    boards[2] = createPlaceholderBoard(match, 2, AI_PLAYER_NAME);
+    boards[2].color = players[aiSocketId].color;
+    boards[2].headStyle = players[aiSocketId].headStyle;
 
-    console.log(`AI Player "${AI_PLAYER_NAME}" created for Player 2 slot.`);
+    console.log(`[${match.id}] AI Player "${AI_PLAYER_NAME}" (bot: ${botName}) created for Player 2 slot.`);
 
     // Notify Player 1 about their new AI opponent (if P1 exists)
     if (playerSockets[1] && players[playerSockets[1]]) {
         io.to(playerSockets[1]).emit('opponentNameUpdate', {
             playerId: 2,
             name: AI_PLAYER_NAME,
-            isAi: true // AI player
+            isAi: true, // AI player
+            bot: botName
         });
     }
     // DO NOT call initiateGameStartSequence() here.
     // The calling context (e.g., requestAiGame handler) is responsible for that.
 }
 
-function getAiNextMove(aiBoard, opponentBoard) { // opponentBoard is still not used but kept for signature
-    if (!aiBoard || !aiBoard.snake || aiBoard.snake.length === 0) {
-        return aiBoard.direction || 'right';
-    }
-
-    const head = { ...aiBoard.snake[0] };
-    const snake = aiBoard.snake;
-    const food = aiBoard.food;
-    const currentDirection = aiBoard.direction;
-    const gridSize = GRID_SIZE;
-
-    const allDirections = [
-        { name: 'up', dx: 0, dy: -1 },
-        { name: 'down', dx: 0, dy: 1 },
-        { name: 'left', dx: -1, dy: 0 },
-        { name: 'right', dx: 1, dy: 0 }
-    ];
-
-    let level1SafeMoves = [];
-    for (const dir of allDirections) {
-        if ((currentDirection === 'up' && dir.name === 'down') ||
-            (currentDirection === 'down' && dir.name === 'up') ||
-            (currentDirection === 'left' && dir.name === 'right') ||
-            (currentDirection === 'right' && dir.name === 'left')) {
-            continue;
-        }
-        const nextHead = { x: head.x + dir.dx, y: head.y + dir.dy };
-        if (nextHead.x < 0 || nextHead.x >= gridSize || nextHead.y < 0 || nextHead.y >= gridSize) {
-            continue;
-        }
-        let selfCollision = false;
-        for (let i = 0; i < snake.length; i++) {
-            if (nextHead.x === snake[i].x && nextHead.y === snake[i].y) {
-                selfCollision = true;
-                break;
-            }
-        }
-        if (selfCollision) {
-            continue;
-        }
-        level1SafeMoves.push(dir);
-    }
-
-    if (level1SafeMoves.length === 0) {
-        return currentDirection || 'right';
-    }
-
-    let level2SafeMoves = [];
-    for (const dir of level1SafeMoves) {
-        const nextHead = { x: head.x + dir.dx, y: head.y + dir.dy };
-        let isWallTrap = false;
-        let isSelfTrap = false;
-
-        // Refined Wall Trap Check: considers if food is the target
-        if (!(nextHead.x === food.x && nextHead.y === food.y)) {
-            const furtherHead = { x: nextHead.x + dir.dx, y: nextHead.y + dir.dy };
-            if (furtherHead.x < 0 || furtherHead.x >= gridSize || furtherHead.y < 0 || furtherHead.y >= gridSize) {
-                 // If the move 'dir' takes snake to 'nextHead', and then applying 'dir' again from 'nextHead' leads to 'furtherHead' being a wall.
-                 isWallTrap = true;
-            }
-        }
-
-        const snakeAfterMove1 = [{...nextHead}, ...snake.slice(0, snake.length -1)];
-        let canMakeSecondMove = false;
-        for (const nextDir of allDirections) {
-            if ((dir.name === 'up' && nextDir.name === 'down') ||
-                (dir.name === 'down' && nextDir.name === 'up') ||
-                (dir.name === 'left' && nextDir.name === 'right') ||
-                (dir.name === 'right' && nextDir.name === 'left')) {
-                continue;
-            }
-            const headAfterMove2 = { x: nextHead.x + nextDir.dx, y: nextHead.y + nextDir.dy };
-            if (headAfterMove2.x < 0 || headAfterMove2.x >= gridSize || headAfterMove2.y < 0 || headAfterMove2.y >= gridSize) {
-                continue;
-            }
-            let selfCollisionMove2 = false;
-            for (let i = 0; i < snakeAfterMove1.length; i++) {
-                if (headAfterMove2.x === snakeAfterMove1[i].x && headAfterMove2.y === snakeAfterMove1[i].y) {
-                    selfCollisionMove2 = true;
-                    break;
-                }
-            }
-            if (!selfCollisionMove2) {
-                canMakeSecondMove = true;
-                break;
-            }
-        }
-        if (!canMakeSecondMove) {
-            isSelfTrap = true;
-        }
-
-        if (!isWallTrap && !isSelfTrap) {
-            level2SafeMoves.push(dir);
-        }
-    }
-
-    let bestMovesToConsider = [];
-    if (level2SafeMoves.length > 0) {
-        bestMovesToConsider = level2SafeMoves;
-    } else if (level1SafeMoves.length > 0) {
-        bestMovesToConsider = level1SafeMoves;
-    } else {
-        return currentDirection || 'right';
-    }
-
-    let finalChoice = null;
-    let minDistanceToFood = Infinity;
-
-    for (const dir of bestMovesToConsider) {
-        const pHead = { x: head.x + dir.dx, y: head.y + dir.dy };
-        const distance = Math.abs(pHead.x - food.x) + Math.abs(pHead.y - food.y);
-        if (distance < minDistanceToFood) {
-            minDistanceToFood = distance;
-            finalChoice = dir.name;
-        } else if (distance === minDistanceToFood) {
-            if (dir.name === currentDirection) {
-                finalChoice = dir.name;
-            }
-        }
-    }
-
-    if (!finalChoice) {
-        if (bestMovesToConsider.some(d => d.name === currentDirection)) {
-            finalChoice = currentDirection;
-        } else {
-            finalChoice = bestMovesToConsider[0].name;
-        }
-    }
-    return finalChoice;
+function removeAiPlayer(match) {
+    const aiSocketId = match.playerSockets[2];
+    if (!isAiSocketId(aiSocketId)) return;
+    match.playerSockets[2] = null;
+    match.aiBotName = null;
+    match.aiController = null;
+    delete players[aiSocketId];
+    match.boards[2] = createPlaceholderBoard(match, 2, 'Player 2'); // Reset board slot
 }
 
-
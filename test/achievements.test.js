@@ -0,0 +1,23 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const achievements = require('../achievements');
+
+test('resolveCosmetics() accepts free and unlocked cosmetics', () => {
+    assert.deepEqual(achievements.resolveCosmetics(undefined), { cosmetics: { color: null, headStyle: 'default' } });
+    assert.deepEqual(achievements.resolveCosmetics({ color: 'blue' }), { cosmetics: { color: 'blue', headStyle: 'default' } });
+    assert.deepEqual(achievements.resolveCosmetics({ color: 'orange', headStyle: 'crown' }, ['firstWin', 'longSnake']),
+        { cosmetics: { color: 'orange', headStyle: 'crown' } });
+});
+
+test('resolveCosmetics() refuses locked cosmetics', () => {
+    assert.match(achievements.resolveCosmetics({ color: 'gold' }).error, /Untouchable/);
+});
+
+test('resolveCosmetics() treats Object.prototype keys as unknown', () => {
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(id => {
+        assert.match(achievements.resolveCosmetics({ color: id }).error, /Unknown color/, id);
+        assert.match(achievements.resolveCosmetics({ headStyle: id }).error, /Unknown headStyle/, id);
+    });
+    assert.deepEqual(achievements.getUnlockedCosmetics(['constructor']), achievements.getUnlockedCosmetics([]));
+});
@@ -0,0 +1,60 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const bots = require('../bots');
+const { createDelta, applyDelta } = require('../delta');
+
+// A 'gameState'-shaped payload (see getBoardsWithPlayerNames() in server.js)
+function toGameState(state) {
+    const gameState = JSON.parse(JSON.stringify({ 1: state.boards[1], 2: state.boards[2] }));
+    if (state.arena) gameState.arena = JSON.parse(JSON.stringify(state.arena));
+    return gameState;
+}
+
+function assertRoundTrips(preset, seed) {
+    const { rules } = engine.resolveRules({ preset });
+    const controllers = { 1: bots.createBotController('hard', seed), 2: bots.createBotController('normal', seed + 1) };
+    let state = engine.createInitialState(seed, false, { 1: 'A', 2: 'B' }, rules);
+    let clientState = toGameState(state);
+    let gameOver = false;
+    while (!gameOver && state.tick < 2000) {
+        const result = engine.step(state, { 1: controllers[1].chooseMove(state, 1), 2: controllers[2].chooseMove(state, 2) });
+        gameOver = result.events.some(event => event.type === 'gameOver');
+        const serverState = toGameState(result.state);
+        clientState = applyDelta(clientState, createDelta(toGameState(state), serverState));
+        assert.deepEqual(clientState, serverState, `${preset} diverged at tick ${result.state.tick}`);
+        state = result.state;
+    }
+}
+
+test('applyDelta(createDelta()) round-trips whole games', () => {
+    assertRoundTrips('classic', 11);
+    assertRoundTrips('arena', 12);
+});
+
+test('createDelta() returns null for identical states', () => {
+    const gameState = toGameState(engine.createInitialState(3));
+    assert.equal(createDelta(gameState, JSON.parse(JSON.stringify(gameState))), null);
+});
+
+test('entries that appear or disappear are replaced or removed whole', () => {
+    const gameState = toGameState(engine.createInitialState(3));
+    const withoutBoard = { ...gameState, 2: null };
+    const delta = createDelta(gameState, withoutBoard);
+    assert.deepEqual(delta.replaced, { 2: null });
+    assert.deepEqual(applyDelta(gameState, delta), withoutBoard);
+
+    const withoutArena = { 1: gameState[1], 2: gameState[2] };
+    const withArena = { ...withoutArena, arena: { food: { x: 1, y: 1 }, debuffs: [], powerups: [] } };
+    assert.deepEqual(applyDelta(withArena, createDelta(withArena, withoutArena)), withoutArena);
+    assert.deepEqual(applyDelta(withoutArena, createDelta(withoutArena, withArena)), withArena);
+});
+
+test('applyDelta() leaves the previous state alone', () => {
+    const before = toGameState(engine.createInitialState(5));
+    const copy = JSON.parse(JSON.stringify(before));
+    const after = toGameState(engine.step(engine.createInitialState(5), {}).state);
+    applyDelta(before, createDelta(before, after));
+    assert.deepEqual(before, copy);
+});
@@ -0,0 +1,93 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const tournament = require('../tournament');
+
+// Plays up to maxTicks with a fixed input script, returning every state and event list
+function playScripted(seed, rules, maxTicks = 200) {
+    const script = ['up', 'left', 'down', 'right'];
+    let state = engine.createInitialState(seed, false, { 1: 'A', 2: 'B' }, rules);
+    const history = [];
+    while (state.tick < maxTicks) {
+        const inputs = state.tick % 5 === 0
+            ? { 1: script[(state.tick / 5) % 4], 2: script[(state.tick / 5 + 1) % 4] }
+            : {};
+        const { state: next, events } = engine.step(state, inputs);
+        history.push({ state: next, events });
+        state = next;
+        if (events.some(event => event.type === 'gameOver')) break;
+    }
+    return history;
+}
+
+test('step() is deterministic for a fixed seed', () => {
+    ['classic', 'arena'].forEach(preset => {
+        const { rules } = engine.resolveRules({ preset });
+        assert.deepEqual(playScripted(1234, rules), playScripted(1234, rules));
+    });
+});
+
+test('createInitialState() places food by seed', () => {
+    const foodFor = seed => engine.createInitialState(seed).boards[1].food;
+    assert.deepEqual(foodFor(42), foodFor(42));
+    const foods = new Set([1, 2, 3, 4, 5].map(seed => JSON.stringify(foodFor(seed))));
+    assert.ok(foods.size > 1);
+});
+
+test('step() does not modify the state it is given', () => {
+    const state = engine.createInitialState(7);
+    const copy = JSON.parse(JSON.stringify(state));
+    engine.step(state, { 1: 'up' });
+    assert.deepEqual(state, copy);
+});
+
+test('applyDirection() rejects reversals and repeats', () => {
+    const { boards } = engine.createInitialState(7);
+    const board = boards[1];
+    const reverse = { up: 'down', down: 'up', left: 'right', right: 'left' }[board.direction];
+    assert.equal(engine.applyDirection(board, reverse), false);
+    assert.equal(engine.applyDirection(board, board.direction), false);
+    assert.equal(engine.applyDirection(board, 'sideways'), false);
+});
+
+test('bot games replay exactly from their seed', () => {
+    const { rules } = engine.resolveRules({ preset: 'blitz' });
+    const botNames = { 1: 'hard', 2: 'normal' };
+    assert.deepEqual(tournament.playGame(botNames, 99, rules), tournament.playGame(botNames, 99, rules));
+});
+
+test('resolveRules() rejects keys inherited from Object.prototype', () => {
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(key => {
+        const { rules, error } = engine.resolveRules(JSON.parse(`{ "${key}": 1 }`));
+        assert.equal(rules, undefined, key);
+        assert.equal(error, `Unknown rule "${key}".`);
+    });
+});
+
+test('resolveRules() checks mode and headOnRule against their choices', () => {
+    assert.equal(engine.resolveRules({ preset: 'arena', headOnRule: 'draw' }).rules.headOnRule, 'draw');
+    assert.ok(engine.resolveRules({ mode: 'constructor' }).error);
+    assert.ok(engine.resolveRules({ headOnRule: 1 }).error);
+});
+
+test('receiving a debuff does not move a board\'s next food', () => {
+    const { rules } = engine.resolveRules({ debuffTriggerCount: 2 });
+    // Both snakes eat on the first tick; only with sendDebuff does player 1's bite send a debuff to board 2
+    const runFirstTick = (seed, sendDebuff) => {
+        const state = engine.createInitialState(seed, true, {}, rules);
+        [1, 2].forEach(playerId => {
+            const board = state.boards[playerId];
+            board.food = { x: board.snake[0].x + board.dx, y: board.snake[0].y + board.dy };
+        });
+        if (sendDebuff) state.boards[1].foodEatenCounter = 1;
+        return engine.step(state, {});
+    };
+    for (let seed = 1; seed <= 20; seed++) {
+        const withDebuff = runFirstTick(seed, true);
+        const withoutDebuff = runFirstTick(seed, false);
+        assert.equal(withDebuff.state.boards[2].debuffs.length, 1);
+        assert.equal(withoutDebuff.state.boards[2].debuffs.length, 0);
+        assert.deepEqual(withDebuff.state.boards[2].food, withoutDebuff.state.boards[2].food, `seed ${seed}`);
+    }
+});
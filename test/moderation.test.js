@@ -0,0 +1,71 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moderation = require('../moderation');
+
+test.before(async () => {
+    const Filter = (await import('bad-words')).default;
+    moderation.configureModeration({ filter: new Filter(), reservedNames: ['AI Snake'] });
+});
+
+test.beforeEach(() => {
+    moderation.loadRules([]);
+});
+
+test('normalizeName() undoes leetspeak, case and separators', () => {
+    assert.equal(moderation.normalizeName('AI Snake'), 'aisnake');
+    assert.equal(moderation.normalizeName('a1_5nake'), 'aisnake');
+    assert.equal(moderation.normalizeName('4-1 $n@k3'), 'aisnake');
+    assert.equal(moderation.normalizeName('Bob 99'), 'bobgg');
+});
+
+test('getNameModerationError() allows ordinary names', () => {
+    ['Amy', 'Classic', 'Scunthorpe', 'Glass Ace', 'Player 12'].forEach(name => {
+        assert.equal(moderation.getNameModerationError(name), null, name);
+    });
+});
+
+test('getNameModerationError() sees through digit and separator substitutions', () => {
+    ['shit', 'sh1t', 's_h_i_t', 'Sh1t Head'].forEach(name => {
+        assert.equal(moderation.getNameModerationError(name), 'Name contains inappropriate language.', name);
+    });
+});
+
+test('reserved and banned names match in normalized form', () => {
+    assert.match(moderation.getNameModerationError('A1-5nake'), /reserved/);
+    moderation.addRule(moderation.resolveRule({ kind: 'bannedName', value: 'B0b' }).rule);
+    assert.match(moderation.getNameModerationError('bob'), /not allowed/);
+    moderation.removeRule('bannedName', 'BOB');
+    assert.equal(moderation.getNameModerationError('bob'), null);
+});
+
+test('blocked words can be added and removed at runtime', () => {
+    const { rule } = moderation.resolveRule({ kind: 'blockedWord', value: 'Zorp' });
+    moderation.addRule(rule);
+    assert.notEqual(moderation.getNameModerationError('z0rp'), null);
+    moderation.removeRule('blockedWord', 'zorp');
+    assert.equal(moderation.getNameModerationError('z0rp'), null);
+    moderation.addRule(rule);
+    assert.notEqual(moderation.getNameModerationError('z0rp'), null);
+});
+
+test('removing a blocked word keeps the built-in list intact', () => {
+    moderation.addRule({ kind: 'blockedWord', value: 'shit', reason: '', expiresAt: null });
+    moderation.removeRule('blockedWord', 'shit');
+    assert.notEqual(moderation.getNameModerationError('shit'), null);
+});
+
+test('findBan() matches addresses and fingerprints and skips expired bans', () => {
+    moderation.addRule(moderation.resolveRule({ kind: 'ipBan', value: '10.0.0.1' }).rule);
+    moderation.addRule({ kind: 'fingerprintBan', value: 'old', reason: '', expiresAt: new Date(Date.now() - 1000) });
+    assert.equal(moderation.findBan({ ip: '::ffff:10.0.0.1' }).kind, 'ipBan');
+    assert.equal(moderation.findBan({ ip: '10.0.0.2' }), null);
+    assert.equal(moderation.findBan({ fingerprint: 'old' }), null);
+});
+
+test('resolveRule() validates its input', () => {
+    assert.ok(moderation.resolveRule({ kind: 'nope', value: 'x' }).error);
+    assert.ok(moderation.resolveRule({ kind: 'bannedName', value: '' }).error);
+    assert.ok(moderation.resolveRule({ kind: 'ipBan', value: '1.2.3.4', expiresInMinutes: 0 }).error);
+    assert.ok(moderation.resolveRule({ kind: 'ipBan', value: '1.2.3.4', expiresInMinutes: 5 }).rule.expiresAt instanceof Date);
+});
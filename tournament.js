@@ -0,0 +1,222 @@
+// tournament.js
+//
+// Headless bot-vs-bot tournaments for benchmarking AI changes. Games run straight through
+// engine.step() with no timers, as fast as the bots can move:
+//
+//   const { results } = await runTournament({ bots: ['hard', 'insane'], games: 50, seed: 1, rules: { preset: 'classic' } });
+//
+// Every game uses seed + gameIndex, and the bots swap seats every other game. Split-board games are
+// played with sameSeed so both boards get the same food. The results (a per-bot table plus one line
+// per game) are written as JSON to TOURNAMENT_RESULTS_DIR.
+//
+// A single game can take seconds on a big board, so the server runs tournaments through
+// runTournamentInWorker(), which plays them on a worker thread, away from the live matches.
+//
+// From the command line: node tournament.js <bot> <bot> [games] [seed] [preset]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const engine = require('./engine');
+const bots = require('./bots');
+
+const TOURNAMENT_RESULTS_DIR = process.env.TOURNAMENT_RESULTS_DIR || path.join(os.tmpdir(), 'snake-tournaments');
+const MAX_TOURNAMENT_GAMES = 500;
+const DEFAULT_TOURNAMENT_GAMES = 20;
+const MAX_GAME_TICKS = 5000; // A game still running after this many ticks is a draw ('tickLimit')
+const AI_SEED_SALT = 0x5BD1E995; // Bots' own randomness comes from the game seed, so a tournament can be re-run exactly
+
+// options: { bots: [name, name], games, seed, rules }. Returns { options } or { error }, like engine.resolveRules().
+function resolveTournamentOptions(options) {
+    if (!options || typeof options !== 'object') return { error: 'Tournament options must be an object.' };
+    if (!Array.isArray(options.bots) || options.bots.length !== 2) return { error: 'Pick exactly two bots.' };
+    const unknown = options.bots.find(name => !bots.hasBot(name));
+    if (unknown !== undefined) return { error: `Unknown bot "${unknown}".` };
+
+    const games = options.games === undefined ? DEFAULT_TOURNAMENT_GAMES : Number(options.games);
+    if (!Number.isInteger(games) || games < 1 || games > MAX_TOURNAMENT_GAMES) {
+        return { error: `Games must be an integer between 1 and ${MAX_TOURNAMENT_GAMES}.` };
+    }
+    const seed = options.seed === undefined || options.seed === null ? engine.generateSeed() : Number(options.seed);
+    if (!Number.isInteger(seed) || seed < 0 || seed > engine.MAX_SEED) {
+        return { error: `Seed must be an integer between 0 and ${engine.MAX_SEED}.` };
+    }
+    const { rules, error } = engine.resolveRules(options.rules);
+    if (error) return { error };
+    return { options: { bots: [...options.bots], games, seed, rules } };
+}
+
+// Plays one game between two bots. botNames: { 1: name, 2: name }.
+function playGame(botNames, seed, rules) {
+    const sameSeed = !engine.isSharedArena(rules);
+    let state = engine.createInitialState(seed, sameSeed, { 1: botNames[1], 2: botNames[2] }, rules);
+    const controllers = {
+        1: bots.createBotController(botNames[1], (seed ^ AI_SEED_SALT) >>> 0),
+        2: bots.createBotController(botNames[2], ((seed ^ AI_SEED_SALT) + 1) >>> 0)
+    };
+    const deathReasons = { 1: null, 2: null };
+    let gameOverEvent = null;
+
+    while (!gameOverEvent && state.tick < MAX_GAME_TICKS) {
+        const inputs = {
+            1: controllers[1].chooseMove(state, 1),
+            2: controllers[2].chooseMove(state, 2)
+        };
+        const result = engine.step(state, inputs);
+        state = result.state;
+        result.events.forEach(event => {
+            if (event.type === 'collision') deathReasons[event.playerId] = event.reason;
+            else if (event.type === 'gameOver') gameOverEvent = event;
+        });
+    }
+    if (!gameOverEvent) {
+        gameOverEvent = { winnerId: 0, reason: 'tickLimit' };
+        deathReasons[1] = deathReasons[1] || 'tickLimit';
+        deathReasons[2] = deathReasons[2] || 'tickLimit';
+    }
+
+    return {
+        seed,
+        ticks: state.tick,
+        winnerId: gameOverEvent.winnerId,
+        reason: gameOverEvent.reason,
+        players: [1, 2].map(playerId => ({
+            playerId,
+            bot: botNames[playerId],
+            score: state.boards[playerId].score,
+            length: state.boards[playerId].snake.length,
+            deathReason: deathReasons[playerId],
+            failedMoves: controllers[playerId].failures
+        }))
+    };
+}
+
+function createTableRow(label, bot) {
+    return { entrant: label, bot, games: 0, wins: 0, losses: 0, draws: 0, winRate: 0, averageScore: 0, averageLength: 0, deathReasons: {}, failedMoves: 0 };
+}
+
+// Entrants are labelled by bot name, or name#1 / name#2 when a bot plays itself.
+function summarizeGames(botNames, games) {
+    const labels = botNames[0] === botNames[1] ? [`${botNames[0]}#1`, `${botNames[1]}#2`] : [...botNames];
+    const rows = labels.map((label, index) => createTableRow(label, botNames[index]));
+    const totals = rows.map(() => ({ score: 0, length: 0 }));
+
+    games.forEach(game => {
+        game.players.forEach(player => {
+            const entrantIndex = game.entrants[player.playerId];
+            const row = rows[entrantIndex];
+            row.games++;
+            if (game.winnerId === 0) row.draws++;
+            else if (game.winnerId === player.playerId) row.wins++;
+            else row.losses++;
+            totals[entrantIndex].score += player.score;
+            totals[entrantIndex].length += player.length;
+            if (player.deathReason) row.deathReasons[player.deathReason] = (row.deathReasons[player.deathReason] || 0) + 1;
+            row.failedMoves += player.failedMoves;
+        });
+    });
+    rows.forEach((row, index) => {
+        if (row.games === 0) return;
+        row.winRate = Math.round((row.wins / row.games) * 1000) / 1000;
+        row.averageScore = Math.round((totals[index].score / row.games) * 10) / 10;
+        row.averageLength = Math.round((totals[index].length / row.games) * 10) / 10;
+    });
+    return { labels, table: rows };
+}
+
+// Plays every game on the calling thread. It yields to the event loop before each game, but a game
+// itself runs start to finish; use runTournamentInWorker() from anything that must stay responsive.
+async function runTournament(rawOptions, { id = `tournament_${Date.now()}`, resultsDirectory = TOURNAMENT_RESULTS_DIR } = {}) {
+    const { options, error } = resolveTournamentOptions(rawOptions);
+    if (error) return { error };
+
+    const startedAt = new Date();
+    const games = [];
+    for (let gameIndex = 0; gameIndex < options.games; gameIndex++) {
+        await new Promise(resolve => setImmediate(resolve));
+        const swapSeats = gameIndex % 2 === 1;
+        const entrants = swapSeats ? { 1: 1, 2: 0 } : { 1: 0, 2: 1 }; // playerId -> index into options.bots
+        const botNames = { 1: options.bots[entrants[1]], 2: options.bots[entrants[2]] };
+        const game = playGame(botNames, (options.seed + gameIndex) >>> 0, options.rules);
+        games.push({ game: gameIndex + 1, entrants, ...game });
+    }
+
+    const { labels, table } = summarizeGames(options.bots, games);
+    const finishedAt = new Date();
+    const results = {
+        id,
+        bots: options.bots,
+        games: options.games,
+        seed: options.seed,
+        rules: options.rules,
+        startedAt,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        table,
+        matches: games.map(({ game, seed, ticks, winnerId, reason, entrants, players }) => ({
+            game,
+            seed,
+            ticks,
+            winner: winnerId === 0 ? null : labels[entrants[winnerId]],
+            reason,
+            players: players.map(player => ({ ...player, entrant: labels[entrants[player.playerId]] }))
+        }))
+    };
+    results.file = writeResults(results, resultsDirectory);
+    return { results };
+}
+
+// runTournament() on a worker thread that loads the bots/ directory itself. Resolves with what
+// runTournament() resolves with; rejects if the worker crashes.
+function runTournamentInWorker(rawOptions, { id = `tournament_${Date.now()}`, resultsDirectory = TOURNAMENT_RESULTS_DIR } = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { tournamentRun: { options: rawOptions, id, resultsDirectory } } });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', code => {
+            if (code !== 0) reject(new Error(`Tournament worker stopped with exit code ${code}.`));
+        });
+    });
+}
+
+function writeResults(results, directory) {
+    try {
+        fs.mkdirSync(directory, { recursive: true });
+        const file = path.join(directory, `${results.id}.json`);
+        fs.writeFileSync(file, JSON.stringify(results, null, 2));
+        return file;
+    } catch (error) {
+        console.error(`Could not write tournament results for ${results.id}:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    MAX_TOURNAMENT_GAMES,
+    MAX_GAME_TICKS,
+    resolveTournamentOptions,
+    playGame,
+    runTournament,
+    runTournamentInWorker
+};
+
+if (!isMainThread && workerData && workerData.tournamentRun) {
+    const { options, id, resultsDirectory } = workerData.tournamentRun;
+    bots.loadBotsDirectory();
+    runTournament(options, { id, resultsDirectory }).then(outcome => parentPort.postMessage(outcome));
+}
+
+if (require.main === module && isMainThread) {
+    const [first, second, games, seed, preset] = process.argv.slice(2);
+    bots.loadBotsDirectory();
+    runTournament({ bots: [first, second], games, seed, rules: preset ? { preset } : undefined }).then(({ results, error }) => {
+        if (error) {
+            console.error(error);
+            process.exitCode = 1;
+            return;
+        }
+        console.table(results.table.map(({ deathReasons, ...row }) => ({ ...row, deathReasons: JSON.stringify(deathReasons) })));
+        console.log(`Results written to ${results.file}`);
+    });
+}